@@ -13,19 +13,298 @@ $('.navbar-toggler').on('click', function () {
     $('.nav_links_wrapper').toggleClass('open');
 });
 
-$(document).ready(function () {
-    let auth = true;
-    if (auth) {
-        $(".auth_btn_wrapper").addClass("d-none");
-        $(".auth_user").removeClass("d-none");
-    } else {
-        $(".auth_btn_wrapper").removeClass("d-none");
-        $(".auth_user").addClass("d-none");
+const API_BASE_URL = "http://localhost:5000";
+
+// Logged-in user from the session cookie (null when logged out); fetched once per page
+let currentUserRequest = null;
+function getCurrentUser() {
+    if (!currentUserRequest) {
+        currentUserRequest = fetch(`${API_BASE_URL}/auth/me`, { credentials: "include" })
+            .then(response => response.json())
+            .then(data => data.user)
+            .catch(() => null);
+    }
+    return currentUserRequest;
+}
+
+// Load a fresh captcha into .captcher-wrapper; its token is kept in the wrapper's data-token
+async function loadCaptcha() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/captcha`, { credentials: "include" });
+        const { token, image } = await response.json();
+        $(".captcher-wrapper").data("token", token).removeClass("d-none");
+        $(".captcher-wrapper .captchar-img").attr("src", image);
+        $(".captcher-wrapper input").val("");
+    } catch (error) {
+        console.error("Error fetching captcha:", error);
+    }
+}
+
+// Escape user-written and upstream text (titles, names) before it goes into innerHTML
+function escapeHtml(text) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Header bell: unread badge plus the latest notifications in its dropdown
+const NOTIFICATION_POLL_INTERVAL = 2 * 60 * 1000;
+
+function setUnreadCount(unread) {
+    $(".notify_count").text(unread > 99 ? "99+" : unread).toggleClass("d-none", !unread);
+}
+
+async function loadNotifications() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/notifications?limit=10`, { credentials: "include" });
+        if (!response.ok) return;
+        const { unread, items } = await response.json();
+        setUnreadCount(unread);
+
+        $(".notification_list").html(items.length ? items.map(item => `
+            <li class="notification_item ${item.read ? "" : "unread"}">
+                <a href="chapter.html?id=${item.chapterId}" data-id="${item.id}">
+                    <span class="notification_title">${escapeHtml(item.mangaTitle)}</span>
+                    <span class="notification_text">New chapter: Chapter ${escapeHtml(item.chapter)}${item.chapterTitle ? `: ${escapeHtml(item.chapterTitle)}` : ""}</span>
+                    <span class="notification_time">${new Date(item.createdAt).toLocaleString()}</span>
+                </a>
+            </li>
+        `).join("") : `<li class="notification_empty">No notifications yet</li>`);
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
     }
+}
+
+function markNotificationsRead(ids) {
+    return fetch(`${API_BASE_URL}/notifications/read`, {
+        method: "POST",
+        credentials: "include",
+        keepalive: true, // Still sent when the click navigates away
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(ids ? { ids } : {})
+    }).then(response => response.json())
+        .then(({ unread }) => setUnreadCount(unread))
+        .catch(error => console.error("Error marking notifications read:", error));
+}
+
+// Scanlation group names as links to group.html, e.g. on chapter rows and in the reader
+function groupLinksHtml(groups = []) {
+    return groups.map(group => `<a href="group.html?id=${encodeURIComponent(group.id)}" class="group_link">${escapeHtml(group.name)}</a>`).join(", ");
+}
+
+// Comments: threaded discussion rendered into #comments_section for a manga or a chapter
+const COMMENTS_PAGE_SIZE = 10;
+
+function commentFormHtml(placeholder, submitLabel = "Post") {
+    return `
+        <form class="comment_form">
+            <textarea class="form-control" rows="3" maxlength="2000" placeholder="${placeholder}" required></textarea>
+            <div class="comment_form_footer">
+                <small class="comment_error"></small>
+                <button type="submit" class="btn btn-primary btn-sm">${submitLabel}</button>
+            </div>
+        </form>
+    `;
+}
+
+async function initComments(type, targetId) {
+    const $section = $("#comments_section");
+    if (!$section.length || !targetId) return;
+
+    const user = await getCurrentUser();
+    const state = { sort: "newest", page: 1 };
+
+    $section.removeClass("d-none").html(`
+        <div class="section_heading">
+            <div class="heading">
+                <h1>Comments <span class="comments_count"></span></h1>
+            </div>
+        </div>
+        <div class="comments_body">
+            <select class="form-select form-select-sm comments_sort">
+                <option value="newest">Newest</option>
+                <option value="top">Top</option>
+            </select>
+            ${user ? commentFormHtml("Write a comment...") : `<p class="comments_login"><a href="auth-login.html">Login</a> to join the discussion.</p>`}
+            <ul class="comment_list"></ul>
+            <button type="button" class="btn btn-sm comments_more_btn d-none">Show more comments</button>
+        </div>
+    `);
+
+    const $list = $section.find(".comment_list");
+
+    const send = async (method, path, body) => {
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method,
+            credentials: "include",
+            headers: { "Content-Type": "application/json" },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Request failed");
+        return data;
+    };
+
+    const renderComment = (comment) => `
+        <li class="comment_item" data-id="${comment.id}">
+            <div class="comment_meta">
+                <span class="comment_author">${comment.deleted ? "[deleted]" : escapeHtml(comment.author.displayName)}</span>
+                <span class="comment_time">${new Date(comment.createdAt).toLocaleString()}${comment.editedAt ? " (edited)" : ""}</span>
+            </div>
+            <div class="comment_text">${comment.deleted ? "<em>This comment was deleted.</em>" : escapeHtml(comment.body)}</div>
+            ${comment.deleted ? "" : `
+            <div class="comment_actions">
+                <a href="javascript:void(0)" class="comment_like_btn ${comment.liked ? "active" : ""}">
+                    <i class="fas fa-thumbs-up"></i> <span>${comment.score}</span>
+                </a>
+                ${user ? `<a href="javascript:void(0)" class="comment_reply_btn">Reply</a>` : ""}
+                ${comment.mine ? `<a href="javascript:void(0)" class="comment_edit_btn">Edit</a>
+                <a href="javascript:void(0)" class="comment_delete_btn">Delete</a>` : ""}
+            </div>`}
+            ${comment.replies.length ? `<ul class="comment_replies">${comment.replies.map(renderComment).join("")}</ul>` : ""}
+        </li>
+    `;
+
+    const fetchPage = (page) => send("GET", `/comments/${type}/${targetId}?sort=${state.sort}&page=${page}&limit=${COMMENTS_PAGE_SIZE}`);
+
+    // 🔹 After a change, re-fetch every page already shown so the reader keeps their place
+    const loadComments = async () => {
+        try {
+            const pages = await Promise.all(Array.from({ length: state.page }, (_, i) => fetchPage(i + 1)));
+            const last = pages[pages.length - 1];
+            const items = pages.flatMap(page => page.items);
+
+            $section.find(".comments_count").text(`(${last.count})`);
+            $list.html(items.length ? items.map(renderComment).join("") : `<li class="comment_empty">No comments yet</li>`);
+            $section.find(".comments_more_btn").toggleClass("d-none", state.page * COMMENTS_PAGE_SIZE >= last.total);
+        } catch (error) {
+            console.error("Error fetching comments:", error);
+        }
+    };
+
+    const submitForm = ($form, request) => {
+        const $error = $form.find(".comment_error").text("");
+        const body = $form.find("textarea").val().trim();
+        if (!body) return;
+        $form.find("button").prop("disabled", true);
+        request(body)
+            .then(loadComments)
+            .catch(error => {
+                $error.text(error.message);
+                $form.find("button").prop("disabled", false);
+            });
+    };
+
+    $section.on("change", ".comments_sort", function () {
+        state.sort = $(this).val();
+        state.page = 1;
+        loadComments();
+    });
+
+    $section.on("click", ".comments_more_btn", function () {
+        state.page++;
+        loadComments();
+    });
+
+    $section.on("submit", ".comment_form", function (e) {
+        e.preventDefault();
+        const $form = $(this);
+        const commentId = $form.closest(".comment_item").data("id");
+
+        if ($form.hasClass("edit_form")) {
+            submitForm($form, body => send("PATCH", `/comments/${commentId}`, { body }));
+        } else if ($form.hasClass("reply_form")) {
+            submitForm($form, body => send("POST", `/comments/${type}/${targetId}`, { body, parentId: commentId }));
+        } else {
+            submitForm($form, body => send("POST", `/comments/${type}/${targetId}`, { body }).then(() => {
+                $form.find("textarea").val("");
+                $form.find("button").prop("disabled", false);
+            }));
+        }
+    });
+
+    $section.on("click", ".comment_reply_btn", function () {
+        const $item = $(this).closest(".comment_item");
+        if ($item.children(".reply_form").length) return;
+        $(commentFormHtml("Write a reply...", "Reply")).addClass("reply_form").insertAfter($item.children(".comment_actions"));
+    });
+
+    $section.on("click", ".comment_edit_btn", function () {
+        const $item = $(this).closest(".comment_item");
+        if ($item.children(".edit_form").length) return;
+        const $form = $(commentFormHtml("Edit your comment...", "Save")).addClass("edit_form");
+        $form.find("textarea").val($item.children(".comment_text").text());
+        $item.children(".comment_text").replaceWith($form);
+    });
+
+    $section.on("click", ".comment_delete_btn", function () {
+        if (!confirm("Delete this comment?")) return;
+        const commentId = $(this).closest(".comment_item").data("id");
+        send("DELETE", `/comments/${commentId}`)
+            .then(loadComments)
+            .catch(error => console.error("Error deleting comment:", error));
+    });
+
+    $section.on("click", ".comment_like_btn", function () {
+        if (!user) {
+            window.location.href = "auth-login.html";
+            return;
+        }
+        const $button = $(this);
+        const commentId = $button.closest(".comment_item").data("id");
+        send("POST", `/comments/${commentId}/like`)
+            .then(({ score, liked }) => {
+                $button.toggleClass("active", liked).find("span").text(score);
+            })
+            .catch(error => console.error("Error liking comment:", error));
+    });
+
+    loadComments();
+}
+
+$(document).ready(function () {
+    // Header: the real user box, or the Login/Register buttons
+    getCurrentUser().then(user => {
+        if (user) {
+            $(".auth_user .user_name").text(user.displayName);
+            $(".auth_btn_wrapper").addClass("d-none");
+            $(".auth_user").removeClass("d-none");
+            loadNotifications();
+            setInterval(loadNotifications, NOTIFICATION_POLL_INTERVAL);
+        } else {
+            $(".auth_btn_wrapper").removeClass("d-none");
+            $(".auth_user").addClass("d-none");
+        }
+    });
+
+    $(".captcha-refresh-btn").on("click", loadCaptcha);
+
+    $(".notification_list").on("click", ".notification_item a", function () {
+        markNotificationsRead([$(this).data("id")]);
+    });
+
+    $(".mark_all_read_btn").on("click", async function (e) {
+        e.stopPropagation(); // Keep the dropdown open
+        await markNotificationsRead();
+        loadNotifications();
+    });
+
+    $(".logout-btn").on("click", async function () {
+        await fetch(`${API_BASE_URL}/auth/logout`, { method: "POST", credentials: "include" });
+        window.location.href = "index.html";
+    });
 
     let timeDate = new Date();
     $("#dataTime").text(timeDate.toLocaleString());
 
+    // Header search box: submit to the search results page on Enter
+    $("#txt-search").on("keydown", function (e) {
+        if (e.key !== "Enter") return;
+        const keyword = $(this).val().trim();
+        if (keyword) {
+            window.location.href = `search.html?title=${encodeURIComponent(keyword)}`;
+        }
+    });
+
 
     function cloneElement() {
         const itemData = document.getElementById("item1");
@@ -92,6 +371,17 @@ $(document).ready(function () {
 
 });
 
+// Build an <img> srcset from a /proxy-image URL by swapping its `w` param.
+// Widths must be in the backend's IMAGE_SIZES allowlist; other URLs get no srcset.
+function proxySrcset(url, widths = [150, 256, 512]) {
+    if (!url || !url.includes("/proxy-image?")) return "";
+    return widths.map(width => {
+        const variant = new URL(url);
+        variant.searchParams.set("w", width);
+        return `${variant} ${width}w`;
+    }).join(", ");
+}
+
 function HideGenresInfo() {
     var genre_info = document.getElementById("genre_info");
 
@@ -102,17 +392,20 @@ function HideGenresInfo() {
     }
 }
 
-let genre_filter_list = document.querySelectorAll(".genres_list_wrapper .list_item");
-
-genre_filter_list.forEach(function (item) {
-    item.addEventListener("click", function () {
-        if (this.classList.contains("active")) {
-            this.classList.remove("active");
-            this.classList.add("inactive");
-        } else if (this.classList.contains("inactive")) {
-            this.classList.remove("inactive");
+// Filter genres cycle through include (active) -> exclude (inactive) -> neither.
+// Delegated, since list-view.html fills the list in from /genres after load.
+document.querySelectorAll(".genres_list_wrapper").forEach(function (wrapper) {
+    wrapper.addEventListener("click", function (e) {
+        const item = e.target.closest(".list_item");
+        if (!item || item.classList.contains("status_all")) return;
+
+        if (item.classList.contains("active")) {
+            item.classList.remove("active");
+            item.classList.add("inactive");
+        } else if (item.classList.contains("inactive")) {
+            item.classList.remove("inactive");
         } else {
-            this.classList.add("active");
+            item.classList.add("active");
         }
     })
 })
@@ -157,14 +450,14 @@ async function genreManga() {
 
   function updateGenre() {
     const urlParams = new URLSearchParams(window.location.search);
-    const activeGenreId = urlParams.get('genres');
+    const activeGenreIds = (urlParams.get('genres') || "").split(",").filter(Boolean);
 
-    if (activeGenreId) {
+    activeGenreIds.forEach(activeGenreId => {
         const activeItem = document.getElementById(activeGenreId);
         if (activeItem) {
             activeItem.classList.add('active');
         }
-    }
+    });
   }
 
   function updateStatus() {
@@ -0,0 +1,241 @@
+const express = require("express");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { createTtlCache } = require("./cache");
+const { isLanguageCode } = require("./language");
+
+const scrypt = promisify(crypto.scrypt);
+
+// 📌 User Accounts & Cookie Sessions
+// Passwords are stored as scrypt(password, per-user salt). The session cookie holds a random
+// token; only its SHA-256 is stored, so a leaked data file cannot be replayed as a login.
+const SESSION_COOKIE = "manga_session";
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Login asks for a captcha once an IP has failed this many times within the window
+const CAPTCHA_AFTER_FAILURES = 3;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GROUP_ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_GROUP_PREFERENCES = 50;
+
+const hashPassword = async (password, salt = crypto.randomBytes(16).toString("hex")) => {
+    const hash = (await scrypt(password, salt, 64)).toString("hex");
+    return { salt, hash };
+};
+
+const verifyPassword = async (password, user) => {
+    const { hash } = await hashPassword(password, user.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.passwordHash, "hex"));
+};
+
+// Unknown usernames are checked against this, so a login takes as long whether the user exists or not
+const DUMMY_USER = { salt: crypto.randomBytes(16).toString("hex"), passwordHash: "0".repeat(128) };
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const getCookie = (req, name) => {
+    const cookies = (req.headers.cookie || "").split(";").map(part => part.trim().split("="));
+    const match = cookies.find(([key]) => key === name);
+    return match ? decodeURIComponent(match.slice(1).join("=")) : null;
+};
+
+// Only what the frontend needs; never the hash or salt
+const toPublicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    language: user.language || null,
+    preferredGroups: user.preferredGroups || [],
+    ignoredGroups: user.ignoredGroups || [],
+    createdAt: user.createdAt
+});
+
+const createAuth = ({ store, captcha }) => {
+    const users = store.collection("users");
+    const sessions = store.collection("sessions");
+    const loginFailures = createTtlCache({ maxEntries: 10000 }); // ip -> failed attempts
+    const router = express.Router();
+
+    const captchaError = (res) => {
+        return res.status(400).json({ error: "Captcha is wrong or expired", captchaRequired: true });
+    };
+
+    const findUserByName = (username) => {
+        const name = username.toLowerCase();
+        return Object.values(users).find(user => user.username.toLowerCase() === name);
+    };
+
+    const startSession = (res, user) => {
+        const token = crypto.randomBytes(32).toString("hex");
+        sessions[hashToken(token)] = { userId: user.id, expiresAt: Date.now() + SESSION_TTL };
+        store.save();
+
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: "lax",
+            secure: process.env.NODE_ENV === "production",
+            maxAge: SESSION_TTL
+        });
+    };
+
+    // 🔹 Attach req.user (or null) from the session cookie on every request
+    const loadUser = (req, res, next) => {
+        req.user = null;
+        const token = getCookie(req, SESSION_COOKIE);
+        if (!token) return next();
+
+        const key = hashToken(token);
+        const session = sessions[key];
+        if (session && session.expiresAt > Date.now() && users[session.userId]) {
+            req.user = users[session.userId];
+            req.sessionKey = key;
+        } else if (session) {
+            delete sessions[key]; // Expired, or the user is gone
+            store.save();
+        }
+        next();
+    };
+
+    const requireUser = (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: "Login required" });
+        next();
+    };
+
+    // 📌 Register (Username, Password, Display Name, Recovery Email & Captcha)
+    router.post("/register", async (req, res) => {
+        try {
+            const username = String(req.body.username || "").trim();
+            const password = String(req.body.password || "");
+            const displayName = String(req.body.displayName || "").trim() || username;
+            const recoveryEmail = String(req.body.recoveryEmail || "").trim();
+
+            if (!captcha.verify(req.body.captchaToken, req.body.captcha)) return captchaError(res);
+            if (!USERNAME_PATTERN.test(username)) {
+                return res.status(400).json({ error: "Username must be 3-20 letters, numbers or underscores" });
+            }
+            if (password.length < 8) {
+                return res.status(400).json({ error: "Password must be at least 8 characters" });
+            }
+            if (displayName.length > 40) {
+                return res.status(400).json({ error: "Display name must be at most 40 characters" });
+            }
+            if (recoveryEmail && !EMAIL_PATTERN.test(recoveryEmail)) {
+                return res.status(400).json({ error: "Recovery email is not valid" });
+            }
+            if (findUserByName(username)) {
+                return res.status(409).json({ error: "Username is already taken" });
+            }
+
+            const { salt, hash } = await hashPassword(password);
+            // The name may have been taken by another registration while the password was hashing
+            if (findUserByName(username)) {
+                return res.status(409).json({ error: "Username is already taken" });
+            }
+            const user = {
+                id: crypto.randomUUID(),
+                username,
+                displayName,
+                recoveryEmail,
+                salt,
+                passwordHash: hash,
+                createdAt: new Date().toISOString()
+            };
+            users[user.id] = user;
+
+            startSession(res, user);
+            res.status(201).json({ user: toPublicUser(user) });
+        } catch (error) {
+            console.error("Failed to register:", error);
+            res.status(500).json({ error: "Failed to register" });
+        }
+    });
+
+    // 📌 Login (Captcha only after repeated failures from one IP)
+    router.post("/login", async (req, res) => {
+        try {
+            const username = String(req.body.username || "").trim();
+            const password = String(req.body.password || "");
+            const failures = loginFailures.get(req.ip) || 0;
+
+            // 🔹 After repeated failures from this IP the captcha is mandatory; if sent anyway it must be right
+            const captchaRequired = failures >= CAPTCHA_AFTER_FAILURES;
+            if ((captchaRequired || req.body.captchaToken) && !captcha.verify(req.body.captchaToken, req.body.captcha)) {
+                return captchaError(res);
+            }
+
+            const user = username && findUserByName(username);
+            const passwordMatches = await verifyPassword(password, user || DUMMY_USER);
+            if (!user || !passwordMatches) {
+                loginFailures.set(req.ip, failures + 1, LOGIN_FAILURE_WINDOW);
+                return res.status(401).json({
+                    error: "Wrong username or password",
+                    captchaRequired: failures + 1 >= CAPTCHA_AFTER_FAILURES
+                });
+            }
+
+            loginFailures.delete(req.ip);
+            startSession(res, user);
+            res.json({ user: toPublicUser(user) });
+        } catch (error) {
+            console.error("Failed to log in:", error);
+            res.status(500).json({ error: "Failed to log in" });
+        }
+    });
+
+    // 📌 Logout (Ends only this browser's session)
+    router.post("/logout", (req, res) => {
+        if (req.sessionKey) {
+            delete sessions[req.sessionKey];
+            store.save();
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ ok: true });
+    });
+
+    // 📌 Preferences (Reading language, plus scanlation groups to prefer or ignore when a chapter
+    // has several uploads). Only the fields sent are changed.
+    router.put("/preferences", requireUser, (req, res) => {
+        const updates = {};
+
+        if ("language" in req.body) {
+            const language = req.body.language === null ? null : String(req.body.language || "").toLowerCase();
+            if (language !== null && !isLanguageCode(language)) {
+                return res.status(400).json({ error: "Unknown language code" });
+            }
+            updates.language = language;
+        }
+
+        for (const field of ["preferredGroups", "ignoredGroups"]) {
+            if (!(field in req.body)) continue;
+            const groupIds = req.body[field];
+            const isValid = Array.isArray(groupIds) && groupIds.length <= MAX_GROUP_PREFERENCES
+                && groupIds.every(id => typeof id === "string" && GROUP_ID_PATTERN.test(id));
+            if (!isValid) {
+                return res.status(400).json({ error: `${field} must be a list of at most ${MAX_GROUP_PREFERENCES} group ids` });
+            }
+            updates[field] = [...new Set(groupIds)];
+        }
+
+        const preferred = updates.preferredGroups || req.user.preferredGroups || [];
+        const ignored = updates.ignoredGroups || req.user.ignoredGroups || [];
+        if (preferred.some(id => ignored.includes(id))) {
+            return res.status(400).json({ error: "A group cannot be both preferred and ignored" });
+        }
+
+        Object.assign(req.user, updates);
+        store.save();
+        res.json({ user: toPublicUser(req.user) });
+    });
+
+    // 📌 Current User (null when logged out, so the header can pick Login/Register)
+    router.get("/me", (req, res) => {
+        res.json({ user: req.user ? toPublicUser(req.user) : null });
+    });
+
+    return { router, loadUser, requireUser };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,104 @@
+const express = require("express");
+const { createMap } = require("./store");
+
+// 📌 Bookmarks (Per User)
+// Stored as bookmarks[userId][mangaId] = { mangaId, title, cover, addedAt }. Title and cover are
+// a snapshot for when the source is unreachable; the latest chapter is always looked up live and
+// the last chapter viewed comes from the user's reading progress.
+const MAX_PAGE_SIZE = 50;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+const createBookmarks = ({ store, provider, progress, requireUser, proxyImageUrl }) => {
+    const bookmarks = store.collection("bookmarks");
+    const router = express.Router();
+
+    const getUserBookmarks = (userId) => {
+        if (!bookmarks[userId]) bookmarks[userId] = createMap();
+        return bookmarks[userId];
+    };
+
+    router.use(requireUser);
+
+    // 📌 List (Newest bookmark first, with each manga's latest and last viewed chapter)
+    router.get("/", async (req, res) => {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+
+            const all = Object.values(getUserBookmarks(req.user.id))
+                .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+            const pageItems = all.slice((page - 1) * limit, page * limit);
+
+            // 🔹 One batched lookup for the whole page; fall back to the snapshot if it fails
+            const summaries = await provider.summaries(pageItems.map(item => item.mangaId), { lang: req.lang }).catch((err) => {
+                console.error("Failed to fetch bookmarked manga:", err);
+                return [];
+            });
+
+            const items = pageItems.map(bookmark => {
+                const manga = summaries.find(summary => summary.id === bookmark.mangaId);
+                const lastRead = progress.getMangaProgress(req.user.id, bookmark.mangaId)?.lastRead;
+                return {
+                    mangaId: bookmark.mangaId,
+                    title: manga?.title || bookmark.title,
+                    cover: proxyImageUrl(manga ? manga.cover : bookmark.cover),
+                    latestChapter: manga?.chapters || null,
+                    viewedChapter: lastRead ? { id: lastRead.chapterId, chapter: lastRead.chapter, page: lastRead.page } : null,
+                    lastUpdated: manga?.lastUpdated || null,
+                    addedAt: bookmark.addedAt
+                };
+            });
+
+            res.json({ total: all.length, page, limit, items });
+        } catch (error) {
+            console.error("Failed to fetch bookmarks:", error);
+            res.status(500).json({ error: "Failed to fetch bookmarks" });
+        }
+    });
+
+    // 📌 Is This Manga Bookmarked?
+    router.get("/:mangaId", (req, res) => {
+        res.json({ bookmarked: Boolean(getUserBookmarks(req.user.id)[req.params.mangaId]) });
+    });
+
+    // 📌 Add
+    router.post("/", async (req, res) => {
+        try {
+            const mangaId = String(req.body.mangaId || "");
+            if (!mangaId) return res.status(400).json({ error: "mangaId is required" });
+            if (!ID_PATTERN.test(mangaId)) return res.status(400).json({ error: "Invalid manga id" });
+
+            const userBookmarks = getUserBookmarks(req.user.id);
+            if (userBookmarks[mangaId]) return res.json({ bookmarked: true });
+
+            const [manga] = await provider.summaries([mangaId]);
+            if (!manga) return res.status(404).json({ error: "Manga not found" });
+
+            userBookmarks[mangaId] = {
+                mangaId,
+                title: manga.title,
+                cover: manga.cover,
+                addedAt: new Date().toISOString()
+            };
+            store.save();
+            res.status(201).json({ bookmarked: true });
+        } catch (error) {
+            console.error("Failed to add bookmark:", error);
+            res.status(500).json({ error: "Failed to add bookmark" });
+        }
+    });
+
+    // 📌 Remove
+    router.delete("/:mangaId", (req, res) => {
+        const userBookmarks = getUserBookmarks(req.user.id);
+        if (userBookmarks[req.params.mangaId]) {
+            delete userBookmarks[req.params.mangaId];
+            store.save();
+        }
+        res.json({ bookmarked: false });
+    });
+
+    return { router };
+};
+
+module.exports = { createBookmarks };
@@ -0,0 +1,68 @@
+// 📌 In-memory TTL cache with LRU eviction
+// A Map keeps insertion order, so re-inserting on every read keeps the
+// least recently used entry first and that is the one we evict.
+const createTtlCache = ({ maxEntries = 500 } = {}) => {
+    const entries = new Map();
+    const inFlight = new Map();
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+
+        // 🔹 Move to the most recently used position
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.value;
+    };
+
+    const set = (key, value, ttl) => {
+        if (!ttl || ttl <= 0) return;
+
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    // 🔹 Return the cached value or run `loader` once; concurrent callers
+    // asking for the same key share the same in-flight promise.
+    const wrap = async (key, ttl, loader) => {
+        const cached = get(key);
+        if (cached !== undefined) return cached;
+
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                set(key, value, ttl);
+                return value;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+
+        inFlight.set(key, promise);
+        return promise;
+    };
+
+    return {
+        get,
+        set,
+        wrap,
+        delete: (key) => entries.delete(key),
+        clear: () => entries.clear(),
+        get size() {
+            return entries.size;
+        }
+    };
+};
+
+module.exports = { createTtlCache };
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { createTtlCache } = require("./cache");
+
+// 📌 Captcha
+// A random code is drawn as jittered strokes with noise, rasterised by sharp, and bound to a
+// single-use token that expires after CAPTCHA_TTL. Glyphs are our own polylines so the image
+// does not depend on which fonts the server has installed.
+const CAPTCHA_TTL = 5 * 60 * 1000;
+const CODE_LENGTH = 5;
+const WIDTH = 160;
+const HEIGHT = 50;
+
+// Digits on a 10 x 16 grid, one or more polylines each
+const GLYPHS = {
+    0: [[[0, 0], [10, 0], [10, 16], [0, 16], [0, 0]], [[10, 0], [0, 16]]],
+    1: [[[2, 3], [5, 0], [5, 16]], [[2, 16], [8, 16]]],
+    2: [[[0, 2], [3, 0], [8, 0], [10, 3], [10, 6], [0, 16], [10, 16]]],
+    3: [[[0, 0], [10, 0], [5, 7], [10, 10], [10, 14], [7, 16], [0, 16]]],
+    4: [[[8, 16], [8, 0], [0, 11], [10, 11]]],
+    5: [[[10, 0], [0, 0], [0, 7], [7, 7], [10, 10], [10, 14], [7, 16], [0, 16]]],
+    6: [[[9, 0], [3, 0], [0, 5], [0, 16], [10, 16], [10, 8], [0, 8]]],
+    7: [[[0, 0], [10, 0], [3, 16]], [[3, 8], [9, 8]]],
+    8: [[[0, 0], [10, 0], [10, 16], [0, 16], [0, 0]], [[0, 8], [10, 8]]],
+    9: [[[10, 8], [0, 8], [0, 0], [10, 0], [10, 11], [7, 16], [1, 16]]],
+};
+
+const random = (min, max) => min + Math.random() * (max - min);
+const randomColor = (min, max) => `rgb(${[0, 1, 2].map(() => Math.round(random(min, max))).join(",")})`;
+
+// 🔹 One glyph as SVG paths: each point jittered, the whole glyph scaled, rotated and skewed
+const drawGlyph = (digit, index) => {
+    const x = 14 + index * 28 + random(-3, 3);
+    const y = 9 + random(-4, 4);
+    const scale = random(1.7, 2.1);
+    const transform = `translate(${x} ${y}) rotate(${random(-25, 25)} 10 16) skewX(${random(-15, 15)}) scale(${scale})`;
+
+    const paths = GLYPHS[digit].map(line => {
+        const points = line.map(([px, py]) => `${(px + random(-0.8, 0.8)).toFixed(1)},${(py + random(-0.8, 0.8)).toFixed(1)}`);
+        return `<polyline points="${points.join(" ")}" />`;
+    });
+
+    return `<g transform="${transform}" fill="none" stroke="${randomColor(20, 110)}" stroke-width="${random(1.1, 1.6).toFixed(2)}"
+        stroke-linecap="round" stroke-linejoin="round">${paths.join("")}</g>`;
+};
+
+// 🔹 Curves and dots across the code so it cannot be read off by simple thresholding
+const drawNoise = () => {
+    const curves = Array.from({ length: 4 }, () => {
+        const d = `M0 ${random(0, HEIGHT)} C${random(0, WIDTH)} ${random(0, HEIGHT)}, ${random(0, WIDTH)} ${random(0, HEIGHT)}, ${WIDTH} ${random(0, HEIGHT)}`;
+        return `<path d="${d}" fill="none" stroke="${randomColor(60, 160)}" stroke-width="${random(1, 2).toFixed(1)}" />`;
+    });
+    const dots = Array.from({ length: 60 }, () => {
+        return `<circle cx="${random(0, WIDTH)}" cy="${random(0, HEIGHT)}" r="${random(0.5, 1.5)}" fill="${randomColor(40, 200)}" />`;
+    });
+    return curves.join("") + dots.join("");
+};
+
+const renderCaptcha = (code) => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}">
+        <rect width="100%" height="100%" fill="${randomColor(200, 245)}" />
+        ${drawNoise()}
+        ${[...code].map(drawGlyph).join("")}
+    </svg>`;
+    return sharp(Buffer.from(svg)).blur(0.6).png().toBuffer();
+};
+
+const createCaptchaService = () => {
+    const challenges = createTtlCache({ maxEntries: 10000 });
+
+    // 🔹 New challenge: { token, image } with the image as a PNG data URL
+    const create = async () => {
+        const code = Array.from({ length: CODE_LENGTH }, () => crypto.randomInt(10)).join("");
+        const token = crypto.randomBytes(16).toString("hex");
+        challenges.set(token, code, CAPTCHA_TTL);
+
+        const png = await renderCaptcha(code);
+        return { token, image: `data:image/png;base64,${png.toString("base64")}`, expiresIn: CAPTCHA_TTL / 1000 };
+    };
+
+    // 🔹 Each token can be checked once, right or wrong, so answers cannot be brute-forced
+    const verify = (token, answer) => {
+        if (!token || !answer) return false;
+        const code = challenges.get(String(token));
+        challenges.delete(String(token));
+        return code !== undefined && code === String(answer).trim();
+    };
+
+    return { create, verify };
+};
+
+module.exports = { createCaptchaService };
@@ -0,0 +1,171 @@
+const express = require("express");
+const crypto = require("crypto");
+const { createMap } = require("./store");
+
+// 📌 Threaded Comments (On a Manga or a Chapter)
+// Stored flat as comments[commentId] = { id, targetType, targetId, parentId, userId, body, likes,
+// createdAt, editedAt, deleted }. Threads are built per request: top-level comments are sorted and
+// paginated, and each one carries its replies as a tree, oldest first. Deleting a comment that has
+// replies only blanks it, so the thread below stays readable.
+const TARGET_TYPES = ["manga", "chapter"];
+const SORTERS = {
+    newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+    top: (a, b) => Object.keys(b.likes).length - Object.keys(a.likes).length || b.createdAt.localeCompare(a.createdAt),
+};
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_BODY_LENGTH = 2000;
+const MAX_PAGE_SIZE = 50;
+
+const createComments = ({ store, requireUser }) => {
+    const comments = store.collection("comments");
+    const users = store.collection("users");
+    const router = express.Router();
+
+    const getBody = (req) => String(req.body.body || "").trim();
+    const checkBody = (body) => {
+        if (!body) return "Comment cannot be empty";
+        if (body.length > MAX_BODY_LENGTH) return `Comment must be at most ${MAX_BODY_LENGTH} characters`;
+        return null;
+    };
+
+    // 🔹 What the page sees: author name instead of user id, like count, and flags for the viewer
+    const toPublicComment = (comment, viewer, repliesByParent) => {
+        const author = users[comment.userId];
+        return {
+            id: comment.id,
+            parentId: comment.parentId,
+            author: comment.deleted ? null : { username: author?.username || "deleted", displayName: author?.displayName || "Deleted user" },
+            body: comment.deleted ? "" : comment.body,
+            deleted: Boolean(comment.deleted),
+            score: Object.keys(comment.likes).length,
+            liked: Boolean(viewer && comment.likes[viewer.id]),
+            mine: Boolean(viewer && !comment.deleted && comment.userId === viewer.id),
+            createdAt: comment.createdAt,
+            editedAt: comment.editedAt,
+            replies: (repliesByParent[comment.id] || [])
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .map(reply => toPublicComment(reply, viewer, repliesByParent))
+        };
+    };
+
+    // 🔹 Only the author may edit or delete
+    const findOwnComment = (req, res) => {
+        const comment = comments[req.params.id];
+        if (!comment || comment.deleted) {
+            res.status(404).json({ error: "Comment not found" });
+            return null;
+        }
+        if (comment.userId !== req.user.id) {
+            res.status(403).json({ error: "You can only change your own comments" });
+            return null;
+        }
+        return comment;
+    };
+
+    // 📌 List a Thread (?sort=newest|top&page=&limit=)
+    router.get("/:type/:targetId", (req, res) => {
+        const { type, targetId } = req.params;
+        if (!TARGET_TYPES.includes(type)) return res.status(400).json({ error: "Unknown comment target" });
+
+        const sort = SORTERS[req.query.sort] ? req.query.sort : "newest";
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+
+        const thread = Object.values(comments).filter(c => c.targetType === type && c.targetId === targetId);
+        const repliesByParent = {};
+        thread.filter(c => c.parentId).forEach(c => (repliesByParent[c.parentId] = repliesByParent[c.parentId] || []).push(c));
+
+        const topLevel = thread.filter(c => !c.parentId).sort(SORTERS[sort]);
+        res.json({
+            total: topLevel.length,
+            count: thread.filter(c => !c.deleted).length,
+            page,
+            limit,
+            sort,
+            items: topLevel.slice((page - 1) * limit, page * limit).map(c => toPublicComment(c, req.user, repliesByParent))
+        });
+    });
+
+    // 📌 Like / Unlike (Drives the "top" sort; registered first so it is not read as /:type/:targetId)
+    router.post("/:id/like", requireUser, (req, res) => {
+        const comment = comments[req.params.id];
+        if (!comment || comment.deleted) return res.status(404).json({ error: "Comment not found" });
+
+        if (comment.likes[req.user.id]) {
+            delete comment.likes[req.user.id];
+        } else {
+            comment.likes[req.user.id] = true;
+        }
+        store.save();
+        res.json({ score: Object.keys(comment.likes).length, liked: Boolean(comment.likes[req.user.id]) });
+    });
+
+    // 📌 Post a Comment or a Reply (parentId)
+    router.post("/:type/:targetId", requireUser, (req, res) => {
+        const { type, targetId } = req.params;
+        if (!TARGET_TYPES.includes(type) || !ID_PATTERN.test(targetId)) {
+            return res.status(400).json({ error: "Unknown comment target" });
+        }
+
+        const body = getBody(req);
+        const bodyError = checkBody(body);
+        if (bodyError) return res.status(400).json({ error: bodyError });
+
+        const parentId = req.body.parentId || null;
+        const parent = parentId && comments[parentId];
+        if (parentId && (!parent || parent.targetType !== type || parent.targetId !== targetId)) {
+            return res.status(404).json({ error: "Comment to reply to was not found" });
+        }
+
+        const comment = {
+            id: crypto.randomUUID(),
+            targetType: type,
+            targetId,
+            parentId,
+            userId: req.user.id,
+            body,
+            likes: createMap(),
+            createdAt: new Date().toISOString(),
+            editedAt: null,
+            deleted: false
+        };
+        comments[comment.id] = comment;
+        store.save();
+
+        res.status(201).json(toPublicComment(comment, req.user, {}));
+    });
+
+    // 📌 Edit
+    router.patch("/:id", requireUser, (req, res) => {
+        const comment = findOwnComment(req, res);
+        if (!comment) return;
+
+        const body = getBody(req);
+        const bodyError = checkBody(body);
+        if (bodyError) return res.status(400).json({ error: bodyError });
+
+        comment.body = body;
+        comment.editedAt = new Date().toISOString();
+        store.save();
+        res.json({ id: comment.id, body: comment.body, editedAt: comment.editedAt });
+    });
+
+    // 📌 Delete (Blanked instead of removed while it still has replies)
+    router.delete("/:id", requireUser, (req, res) => {
+        const comment = findOwnComment(req, res);
+        if (!comment) return;
+
+        const hasReplies = Object.values(comments).some(c => c.parentId === comment.id);
+        if (hasReplies) {
+            Object.assign(comment, { body: "", deleted: true });
+        } else {
+            delete comments[comment.id];
+        }
+        store.save();
+        res.json({ ok: true });
+    });
+
+    return { router };
+};
+
+module.exports = { createComments };
@@ -0,0 +1,80 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { Response } = require("node-fetch");
+
+// 📌 Record/Replay Fixtures for upstream responses
+// UPSTREAM_MODE=record saves every upstream response to FIXTURES_DIR as it passes through;
+// UPSTREAM_MODE=replay serves only from those files and never touches the network.
+// Files are keyed by normalized URL: <dir>/<host>/<sha1 of normalized URL>.json
+const FIXTURE_MODES = ["live", "record", "replay"];
+
+// Date filters move with the clock, so they are left out of the key to keep replays stable
+const VOLATILE_PARAMS = ["updatedAtSince", "createdAtSince"];
+
+// 🔹 Same request, same key: lower-case host, params sorted by name (values keep their order),
+// volatile params dropped and everything encoded the same way
+const normalizeUrl = (url) => {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !VOLATILE_PARAMS.includes(key))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    parsed.search = new URLSearchParams(params).toString();
+    parsed.hash = "";
+    return parsed.toString();
+};
+
+const createFixtureStore = ({ mode = "live", dir }) => {
+    if (!FIXTURE_MODES.includes(mode)) throw new Error(`Unknown UPSTREAM_MODE "${mode}"`);
+
+    const getFixturePath = (url) => {
+        const key = normalizeUrl(url);
+        const hash = crypto.createHash("sha1").update(key).digest("hex");
+        return { key, file: path.join(dir, new URL(key).hostname, `${hash}.json`) };
+    };
+
+    const save = async (url, fixture) => {
+        const { key, file } = getFixturePath(url);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ url: key, recordedAt: new Date().toISOString(), ...fixture }, null, 2));
+    };
+
+    // 🔹 Save a successful response and hand back an unread copy of it
+    const record = async (url, response) => {
+        const body = await response.buffer();
+        const headers = { "content-type": response.headers.get("Content-Type") || "application/octet-stream" };
+        await save(url, { status: response.status, headers, body: body.toString("base64") });
+        return new Response(body, { status: response.status, headers });
+    };
+
+    // 🔹 Client errors are recorded too, so a replayed 404 stays a 404
+    const recordError = async (url, error) => {
+        if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+            await save(url, { status: error.status, headers: {}, body: "" });
+        }
+    };
+
+    const replay = async (url) => {
+        const { key, file } = getFixturePath(url);
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.readFile(file, "utf8"));
+        } catch (err) {
+            const error = new Error(`No recorded fixture for ${key}`);
+            error.status = 504;
+            throw error;
+        }
+
+        if (fixture.status >= 400) {
+            const error = new Error(`HTTP error! Status: ${fixture.status}`);
+            error.status = fixture.status;
+            throw error;
+        }
+        return new Response(Buffer.from(fixture.body, "base64"), { status: fixture.status, headers: fixture.headers });
+    };
+
+    return { mode, dir, record, recordError, replay };
+};
+
+module.exports = { createFixtureStore, normalizeUrl };
@@ -0,0 +1,134 @@
+const fs = require("fs/promises");
+const { writeFileSync } = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// 📌 On-disk cache for processed images
+// Blobs are content-addressed (<dir>/<sha256>) so identical output is stored once and the hash
+// doubles as the ETag. index.json maps each variant key (source URL + resize options) to its
+// blob; the least recently used variants are dropped once the blobs exceed `maxBytes`.
+// The index is written shortly after changes and on exit; blobs it does not know about (written
+// just before a crash) are deleted at startup, so everything on disk counts towards `maxBytes`.
+const BLOB_NAME = /^[0-9a-f]{64}$/;
+
+const createDiskCache = ({ dir, maxBytes = 500 * 1024 * 1024 }) => {
+    const indexFile = path.join(dir, "index.json");
+    const blobPath = (hash) => path.join(dir, hash);
+    let variants = new Map(); // key -> { hash, contentType, size, lastUsed }, oldest first
+    const inFlight = new Map();
+    let saveTimer = null;
+
+    const ready = (async () => {
+        await fs.mkdir(dir, { recursive: true });
+        try {
+            const saved = JSON.parse(await fs.readFile(indexFile, "utf8"));
+            variants = new Map(saved.sort((a, b) => a[1].lastUsed - b[1].lastUsed));
+        } catch (err) {
+            if (err.code !== "ENOENT") console.error("Failed to read image cache index:", err.message);
+        }
+
+        // 🔹 Orphaned blobs have no variant key left to serve them under
+        const indexed = new Set([...variants.values()].map(entry => entry.hash));
+        const orphans = (await fs.readdir(dir)).filter(name => BLOB_NAME.test(name) && !indexed.has(name));
+        await Promise.all(orphans.map(name => fs.rm(blobPath(name), { force: true })));
+    })();
+
+    const totalBytes = () => {
+        // Variants can share a blob, so count each blob once
+        const sizes = new Map();
+        variants.forEach(entry => sizes.set(entry.hash, entry.size));
+        return [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    };
+
+    const scheduleSave = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(async () => {
+            saveTimer = null;
+            try {
+                await fs.writeFile(indexFile, JSON.stringify([...variants.entries()]));
+            } catch (err) {
+                console.error("Failed to save image cache index:", err.message);
+            }
+        }, 1000);
+        saveTimer.unref();
+    };
+
+    // The timer above is unref'd, so write a pending index before the process goes away
+    process.once("exit", () => {
+        if (!saveTimer) return;
+        try {
+            writeFileSync(indexFile, JSON.stringify([...variants.entries()]));
+        } catch (err) {
+            console.error("Failed to save image cache index:", err.message);
+        }
+    });
+
+    const removeVariant = async (key) => {
+        const entry = variants.get(key);
+        variants.delete(key);
+        const stillUsed = [...variants.values()].some(other => other.hash === entry.hash);
+        if (!stillUsed) await fs.rm(blobPath(entry.hash), { force: true });
+    };
+
+    // 🔹 Drop least recently used variants until the blobs fit in maxBytes
+    const evict = async () => {
+        while (variants.size > 0 && totalBytes() > maxBytes) {
+            await removeVariant(variants.keys().next().value);
+        }
+    };
+
+    const get = async (key) => {
+        await ready;
+        const entry = variants.get(key);
+        if (!entry) return null;
+
+        try {
+            const body = await fs.readFile(blobPath(entry.hash));
+            // 🔹 Move to the most recently used position
+            variants.delete(key);
+            variants.set(key, { ...entry, lastUsed: Date.now() });
+            scheduleSave();
+            return { ...entry, body };
+        } catch (err) {
+            variants.delete(key); // Blob was removed behind our back
+            return null;
+        }
+    };
+
+    const set = async (key, { body, contentType }) => {
+        await ready;
+        const hash = crypto.createHash("sha256").update(body).digest("hex");
+        await fs.writeFile(blobPath(hash), body);
+
+        variants.delete(key);
+        variants.set(key, { hash, contentType, size: body.length, lastUsed: Date.now() });
+        await evict();
+        scheduleSave();
+        return { hash, contentType, size: body.length, body };
+    };
+
+    // 🔹 Cached variant or run `loader` once; concurrent requests for the same variant share it
+    const wrap = async (key, loader) => {
+        const cached = await get(key);
+        if (cached) return { ...cached, cacheHit: true };
+
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const promise = (async () => {
+            try {
+                return { ...(await set(key, await loader())), cacheHit: false };
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+
+        inFlight.set(key, promise);
+        return promise;
+    };
+
+    const stats = () => ({ variants: variants.size, bytes: totalBytes(), maxBytes });
+
+    return { get, set, wrap, stats };
+};
+
+module.exports = { createDiskCache };
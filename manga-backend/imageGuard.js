@@ -0,0 +1,115 @@
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+// 📌 Image Fetch Guard
+// /proxy-image takes a URL from the client, so before anything is fetched we check that the
+// host is allowlisted and resolves to a public address. The same check runs again inside the
+// socket's DNS lookup so a host cannot swap to an internal IP between check and connect.
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // Long webtoon strips fit, decompression bombs do not
+
+// 🔹 Errors marked `expose` are the client's fault and are sent back as-is with their 4xx status
+const createImageError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.expose = true;
+    return error;
+};
+
+const blockedRanges = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv4"));
+[
+    ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv6"));
+
+const isPrivateAddress = (address) => {
+    const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mappedIpv4) return blockedRanges.check(mappedIpv4, "ipv4");
+    return blockedRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+const privateAddressError = (hostname) => {
+    const error = createImageError(403, `Image host ${hostname} resolves to a private address`);
+    error.code = "EPRIVATEADDRESS"; // Survives node-fetch wrapping it in a FetchError
+    return error;
+};
+
+// 🔹 dns.lookup that refuses private results; Node may ask for one address or all of them
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) return callback(privateAddressError(hostname));
+        callback(null, address, family);
+    });
+};
+
+const agents = {
+    "http:": new http.Agent({ lookup: safeLookup }),
+    "https:": new https.Agent({ lookup: safeLookup }),
+};
+
+// "*.example.org" matches subdomains only, anything else must match the host exactly
+const matchesHost = (hostname, pattern) => {
+    return pattern.startsWith("*.") ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+};
+
+// 🔹 Throws a 4xx image error unless `url` is http(s) on an allowlisted, public host.
+// Pass resolve: false when nothing will be fetched over the network (fixture replay)
+const assertSafeImageUrl = async (url, allowedHosts, { resolve = true } = {}) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw createImageError(400, "url must be an absolute image URL");
+    }
+
+    if (!agents[parsed.protocol]) throw createImageError(400, "url must use http or https");
+    if (parsed.username || parsed.password) throw createImageError(400, "url must not contain credentials");
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (!allowedHosts.some(pattern => matchesHost(hostname, pattern))) {
+        throw createImageError(403, `Image host ${hostname} is not allowed`);
+    }
+    if (!resolve) return;
+
+    const addresses = await dns.promises.lookup(hostname, { all: true }).catch(() => {
+        throw createImageError(400, `Image host ${hostname} could not be resolved`);
+    });
+    if (addresses.some(entry => isPrivateAddress(entry.address))) throw privateAddressError(hostname);
+};
+
+// 🔹 node-fetch options that pin the checked DNS, refuse redirects and cap the body size
+const getSafeFetchOptions = (url) => ({
+    agent: agents[new URL(url).protocol],
+    redirect: "error",
+    size: MAX_IMAGE_BYTES
+});
+
+// 🔹 Reject non-images and oversized bodies before reading them
+const assertImageResponse = (response) => {
+    const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+    if (!contentType.startsWith("image/")) {
+        throw createImageError(415, `Expected an image but got ${contentType || "no content type"}`);
+    }
+
+    const contentLength = Number(response.headers.get("Content-Length"));
+    if (contentLength > MAX_IMAGE_BYTES) {
+        throw createImageError(413, `Image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+};
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    MAX_INPUT_PIXELS,
+    createImageError,
+    isPrivateAddress,
+    assertSafeImageUrl,
+    getSafeFetchOptions,
+    assertImageResponse
+};
@@ -0,0 +1,16 @@
+// 📌 Reading Language
+// MangaDex-style codes ("en", "ja", "pt-br", "es-la"). A request's language is ?lang= when given,
+// else the logged-in user's saved preference, else English; routes read it from req.lang.
+const DEFAULT_LANGUAGE = "en";
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/;
+
+const isLanguageCode = (value) => typeof value === "string" && LANGUAGE_PATTERN.test(value);
+
+// 🔹 Must run after auth.loadUser so the preference is available
+const resolveLanguage = (req, res, next) => {
+    const requested = String(req.query.lang || "").toLowerCase();
+    req.lang = isLanguageCode(requested) ? requested : req.user?.language || DEFAULT_LANGUAGE;
+    next();
+};
+
+module.exports = { DEFAULT_LANGUAGE, isLanguageCode, resolveLanguage };
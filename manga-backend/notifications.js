@@ -0,0 +1,136 @@
+const express = require("express");
+const crypto = require("crypto");
+const { DEFAULT_LANGUAGE } = require("./language");
+
+// 📌 New-Chapter Notifications
+// A background job looks up the latest chapter of every bookmarked series, in each follower's
+// reading language. The newest chapter id seen is kept in chapterWatch["<mangaId>:<lang>"]; when
+// it changes, everyone reading that series in that language gets a notification. A series' first
+// check only records its latest chapter, so bookmarking never produces a burst of old chapters.
+// If several chapters came out between two checks, only the newest one is announced.
+const CHECK_INTERVAL = (parseInt(process.env.NOTIFY_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const FIRST_CHECK_DELAY = 30 * 1000;
+const BATCH_SIZE = 100; // Most ids provider.summaries() takes at once
+const MAX_PER_USER = 100; // Oldest notifications are dropped past this
+
+const createNotifications = ({ store, provider, requireUser }) => {
+    const notifications = store.collection("notifications"); // userId -> [notification], newest first
+    const chapterWatch = store.collection("chapterWatch");
+    const bookmarks = store.collection("bookmarks");
+    const users = store.collection("users");
+    const router = express.Router();
+    let running = false;
+    let lastCheck = null;
+
+    const getUserNotifications = (userId) => notifications[userId] || [];
+
+    const notify = (userId, notification) => {
+        notifications[userId] = [notification, ...getUserNotifications(userId)].slice(0, MAX_PER_USER);
+    };
+
+    // 🔹 Notify the series' followers if its latest chapter changed; returns how many were notified
+    const announceLatestChapter = (manga, lang, userIds) => {
+        const latest = manga.chapters;
+        if (!latest?.id) return 0;
+
+        const key = `${manga.id}:${lang}`;
+        const watched = chapterWatch[key];
+        chapterWatch[key] = { chapterId: latest.id, chapter: latest.chapter, checkedAt: new Date().toISOString() };
+        if (!watched || watched.chapterId === latest.id) return 0;
+
+        userIds.forEach(userId => notify(userId, {
+            id: crypto.randomUUID(),
+            mangaId: manga.id,
+            mangaTitle: manga.title,
+            chapterId: latest.id,
+            chapter: latest.chapter,
+            chapterTitle: latest.title,
+            createdAt: new Date().toISOString(),
+            read: false
+        }));
+        return userIds.length;
+    };
+
+    // 🔹 One pass over every bookmarked series; returns how many notifications were created
+    const checkForNewChapters = async () => {
+        if (running) return 0;
+        running = true;
+        let created = 0;
+
+        try {
+            // lang -> mangaId -> [userId] for every series someone bookmarked
+            const followers = {};
+            Object.entries(bookmarks).forEach(([userId, userBookmarks]) => {
+                const lang = users[userId]?.language || DEFAULT_LANGUAGE;
+                const byManga = followers[lang] = followers[lang] || {};
+                Object.keys(userBookmarks).forEach(mangaId => {
+                    (byManga[mangaId] = byManga[mangaId] || []).push(userId);
+                });
+            });
+
+            let series = 0;
+            for (const [lang, byManga] of Object.entries(followers)) {
+                const mangaIds = Object.keys(byManga);
+                series += mangaIds.length;
+
+                for (let i = 0; i < mangaIds.length; i += BATCH_SIZE) {
+                    const summaries = await provider.summaries(mangaIds.slice(i, i + BATCH_SIZE), { lang });
+                    summaries.forEach(manga => {
+                        created += announceLatestChapter(manga, lang, byManga[manga.id]);
+                    });
+                }
+            }
+
+            lastCheck = { at: new Date().toISOString(), series, created };
+            store.save();
+        } catch (error) {
+            console.error("Failed to check for new chapters:", error);
+        } finally {
+            running = false;
+        }
+        return created;
+    };
+
+    // 🔹 Run the check on a timer; unref'd so it never keeps the process alive on its own
+    const start = () => {
+        setTimeout(checkForNewChapters, FIRST_CHECK_DELAY).unref();
+        setInterval(checkForNewChapters, CHECK_INTERVAL).unref();
+    };
+
+    const stats = () => ({ intervalMinutes: CHECK_INTERVAL / 60000, running, lastCheck });
+
+    router.use(requireUser);
+
+    // 📌 Unread Count (Polled by the header bell)
+    router.get("/unread-count", (req, res) => {
+        res.json({ unread: getUserNotifications(req.user.id).filter(item => !item.read).length });
+    });
+
+    // 📌 List (Newest first)
+    router.get("/", (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PER_USER);
+        const items = getUserNotifications(req.user.id);
+        res.json({
+            unread: items.filter(item => !item.read).length,
+            total: items.length,
+            items: items.slice(0, limit)
+        });
+    });
+
+    // 📌 Mark Read (The given ids, or all of them when no ids are sent)
+    router.post("/read", (req, res) => {
+        const ids = Array.isArray(req.body.ids) ? req.body.ids : null;
+        const items = getUserNotifications(req.user.id);
+
+        items.forEach(item => {
+            if (!ids || ids.includes(item.id)) item.read = true;
+        });
+        store.save();
+
+        res.json({ unread: items.filter(item => !item.read).length });
+    });
+
+    return { router, start, stats, checkForNewChapters };
+};
+
+module.exports = { createNotifications };
@@ -0,0 +1,80 @@
+const express = require("express");
+const { createMap } = require("./store");
+
+// 📌 Reading Progress (Per User, Manga & Chapter)
+// Stored as progress[userId][mangaId] = { lastRead, chapters: { [chapterId]: entry } }, where an
+// entry is { chapterId, chapter, page, pageCount, finished, readAt }. `page` is the furthest page
+// reached, so scrolling back up never loses progress; a chapter is finished once its last page is seen.
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const isValidId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+const createProgress = ({ store, requireUser }) => {
+    const progress = store.collection("progress");
+    const router = express.Router();
+
+    // 🔹 Progress for one manga, or null if the user never opened it
+    const getMangaProgress = (userId, mangaId) => progress[userId]?.[mangaId] || null;
+
+    router.use(requireUser);
+
+    // 📌 Report Progress (Sent by the reader as pages scroll into view)
+    router.put("/", (req, res) => {
+        const { mangaId, chapterId } = req.body;
+        const chapter = String(req.body.chapter ?? "");
+        const page = parseInt(req.body.page);
+        const pageCount = parseInt(req.body.pageCount);
+
+        if (!isValidId(mangaId) || !isValidId(chapterId)) {
+            return res.status(400).json({ error: "mangaId and chapterId are required" });
+        }
+        if (!(pageCount > 0) || !(page >= 1 && page <= pageCount)) {
+            return res.status(400).json({ error: "page must be between 1 and pageCount" });
+        }
+
+        if (!progress[req.user.id]) progress[req.user.id] = createMap();
+        const userProgress = progress[req.user.id];
+        if (!userProgress[mangaId]) userProgress[mangaId] = { lastRead: null, chapters: createMap() };
+        const mangaProgress = userProgress[mangaId];
+
+        const previous = mangaProgress.chapters[chapterId];
+        const furthestPage = Math.max(page, previous?.page || 0);
+        const entry = {
+            chapterId,
+            chapter: chapter.slice(0, 20),
+            page: furthestPage,
+            pageCount,
+            finished: Boolean(previous?.finished) || furthestPage >= pageCount,
+            readAt: new Date().toISOString()
+        };
+
+        mangaProgress.chapters[chapterId] = entry;
+        // "Continue reading" follows the chapter opened last, at the page the reader is on now
+        mangaProgress.lastRead = { ...entry, page };
+        store.save();
+
+        res.json(entry);
+    });
+
+    // 📌 Progress for One Manga (Read chapters + where to continue)
+    router.get("/:mangaId", (req, res) => {
+        const mangaProgress = getMangaProgress(req.user.id, req.params.mangaId);
+        res.json({
+            mangaId: req.params.mangaId,
+            lastRead: mangaProgress?.lastRead || null,
+            chapters: mangaProgress?.chapters || {}
+        });
+    });
+
+    // 📌 Forget Progress for One Manga
+    router.delete("/:mangaId", (req, res) => {
+        if (getMangaProgress(req.user.id, req.params.mangaId)) {
+            delete progress[req.user.id][req.params.mangaId];
+            store.save();
+        }
+        res.json({ ok: true });
+    });
+
+    return { router, getMangaProgress };
+};
+
+module.exports = { createProgress };
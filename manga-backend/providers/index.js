@@ -0,0 +1,45 @@
+// 📌 Manga Source Providers
+// Routes only ever talk to a provider, never to a source's own URLs. A provider exports:
+//
+//   name                                   - key used by MANGA_SOURCE
+//   search({ title, sort, direction, offset, limit, lang })
+//                                          - { total, items: [summary] }; sort defaults to relevance
+//   list({ sort, direction, offset, limit, genres, excludedGenres, includedMode, excludedMode, status,
+//          updatedSince, createdSince, hasChapters, chapterLimit, lang })
+//                                          - { total, items: [summary] }; sort is latest | newest | follows |
+//                                            title | rating | year | relevance, direction "asc" or "desc"
+//                                            (the default). Sources without ratings or follow counts
+//                                            fall back to A-Z for those.
+//                                            A mode is "and" (all of the genres) or "or" (any of them);
+//                                            included genres default to "and", excluded ones to "or".
+//   summaries(mangaIds, { lang })          - [summary] for up to 100 ids, in the same order, unknown ids skipped
+//   details(mangaId, { lang })             - manga details with `availableLanguages`, or null when it does not exist
+//   chapters(mangaId, { lang })            - [{ id, chapterNumber, volume, title, groups, uploadedAt }], newest first,
+//                                            every group's upload included
+//   volumeCovers(mangaId)                  - { [volume]: cover image URL } for the volumes that have one
+//   pages(chapterId, { quality, lang })    - chapter info with `language`, `groups` and `pages` as image URLs, or null
+//   chapterManga(chapterId)                - id of the manga a chapter belongs to, or null when it does not exist
+//   group(groupId, { lang, limit })        - { id, name, description, website, releases }, or null when it does not exist
+//   genres()                               - [{ id, name }]
+//   getImage(url)                          - image bytes (Buffer) for /proxy-image
+//
+// A summary is { id, title, cover, description, author, chapters, tags, rating, lastUpdated, views,
+// popularityTag, totalManga }. Image URLs are returned raw; the server decides when to proxy them.
+// `cover` is null when a series has none, and the pages show their own placeholder.
+// `lang` (see language.js) picks chapters, latest chapters, titles and descriptions in that language.
+// Chapters (including a summary's latest chapters) carry `groups`: the scanlation groups as [{ id, name }].
+const mangadex = require("./mangadex");
+const local = require("./local");
+
+const providers = {
+    [mangadex.name]: mangadex,
+    [local.name]: local, // MANGA_LIBRARY_DIR of CBZ/ZIP files and image folders
+};
+
+const getProvider = (name = process.env.MANGA_SOURCE || "mangadex") => {
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown manga source "${name}"`);
+    return provider;
+};
+
+module.exports = { getProvider };
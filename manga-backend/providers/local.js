@@ -0,0 +1,494 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+const { createTtlCache } = require("../cache");
+const { createImageError } = require("../imageGuard");
+
+// 📌 Local Library Provider
+// Serves manga from MANGA_LIBRARY_DIR with no network at all. Expected layout:
+//
+//   <library>/<Series>/                      a series (or a top-level .cbz/.zip with ComicInfo.xml <Series>)
+//   <library>/<Series>/Chapter 12.cbz         a chapter archive (.cbz or .zip)
+//   <library>/<Series>/Chapter 13/001.jpg     a chapter as a folder of images
+//   <library>/<Series>/Volume 2/Chapter 14.cbz  chapters may be grouped in volume folders
+//   <library>/<Series>/cover.jpg              optional series cover (else the first page)
+//
+// ComicInfo.xml inside an archive/folder (or in the series folder) fills in titles, numbers,
+// summary, writers and genres; <ScanInformation> names the scanlation groups, comma separated.
+// Images are addressed as local://<chapterId>/<page> and local://cover/<seriesId>, which
+// /proxy-image hands back to getImage().
+const LIBRARY_DIR = path.resolve(process.env.MANGA_LIBRARY_DIR || path.join(__dirname, "..", "library"));
+const INDEX_TTL = 5 * 60 * 1000; // Rescan the library at most every 5 minutes
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".gif", ".avif"];
+const ARCHIVE_EXTENSIONS = [".cbz", ".zip"];
+
+const indexCache = createTtlCache({ maxEntries: 1 });
+// Opening an archive reads it whole, so keep the last few open for page-by-page reading
+const archiveCache = createTtlCache({ maxEntries: 5 });
+// What a rescan learned from each archive, keyed by path; only archives whose mtime or size
+// changed are opened again: path -> { stamp, chapter }
+const scannedArchives = new Map();
+
+const isImage = (name) => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+const isArchive = (name) => ARCHIVE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+const naturalCompare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+// Stable ids from the path relative to the library, so links survive a rescan
+const makeId = (relativePath) => crypto.createHash("sha1").update(relativePath).digest("hex").slice(0, 16);
+const slugify = (value) => value.toLowerCase().trim().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// 🔹 ComicInfo.xml is flat, so pulling the few tags we use needs no XML parser
+const parseComicInfo = (xml) => {
+    if (!xml) return {};
+    const info = {};
+    const tagPattern = /<(\w+)>([^<]*)<\/\1>/g; // Leaf elements only
+    let match;
+    while ((match = tagPattern.exec(xml))) {
+        info[match[1]] = match[2]
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, "\"")
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, "&")
+            .trim();
+    }
+    return info;
+};
+
+const splitList = (value) => (value ? value.split(",").map(item => item.trim()).filter(Boolean) : []);
+
+const parseNumber = (name, pattern) => {
+    const match = name.match(pattern);
+    return match ? String(parseFloat(match[1])) : null;
+};
+
+// "Chapter 12.5", "ch12", "c012" or a bare trailing number
+const parseChapterNumber = (name) => {
+    return parseNumber(name, /(?:chapter|ch\.?|c)\s*(\d+(?:\.\d+)?)/i) || parseNumber(name, /(\d+(?:\.\d+)?)(?!.*\d)/);
+};
+
+const parseVolumeNumber = (name) => parseNumber(name, /(?:volume|vol\.?|v)\s*(\d+(?:\.\d+)?)/i);
+
+const getArchive = (filePath) => archiveCache.wrap(filePath, INDEX_TTL, async () => new AdmZip(filePath));
+
+// 🔹 Read one chapter source (archive or image folder) into { pages, comicInfo, updatedAt }
+const readArchiveChapter = async (filePath) => {
+    const { mtime, size } = await fs.stat(filePath);
+    const stamp = `${mtime.getTime()}:${size}`;
+    const scanned = scannedArchives.get(filePath);
+    if (scanned?.stamp === stamp) return scanned.chapter;
+
+    const zip = await getArchive(filePath);
+    const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+    const comicInfoEntry = entries.find(entry => path.basename(entry.entryName).toLowerCase() === "comicinfo.xml");
+    const pages = entries
+        .map(entry => entry.entryName)
+        .filter(isImage)
+        .sort(naturalCompare);
+
+    const chapter = {
+        pages,
+        comicInfo: parseComicInfo(comicInfoEntry ? zip.readAsText(comicInfoEntry) : ""),
+        updatedAt: mtime.toISOString()
+    };
+    scannedArchives.set(filePath, { stamp, chapter });
+    return chapter;
+};
+
+const readFolderChapter = async (dirPath, fileNames) => {
+    const comicInfoName = fileNames.find(name => name.toLowerCase() === "comicinfo.xml");
+    const { mtime } = await fs.stat(dirPath);
+
+    return {
+        pages: fileNames.filter(isImage).sort(naturalCompare),
+        comicInfo: parseComicInfo(comicInfoName ? await fs.readFile(path.join(dirPath, comicInfoName), "utf8") : ""),
+        updatedAt: mtime.toISOString()
+    };
+};
+
+const readDir = async (dirPath) => {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(entry => !entry.name.startsWith("."));
+};
+
+// 🔹 Turn one archive or image folder into a chapter record
+const buildChapter = (seriesId, relativePath, source, volumeFromFolder) => {
+    const name = path.basename(relativePath, path.extname(relativePath));
+    const info = source.comicInfo;
+
+    return {
+        id: makeId(relativePath),
+        seriesId,
+        kind: source.kind,
+        path: path.join(LIBRARY_DIR, relativePath),
+        pages: source.pages,
+        chapterNumber: info.Number || parseChapterNumber(name) || "N/A",
+        volume: info.Volume || volumeFromFolder || parseVolumeNumber(name),
+        title: info.Title || "",
+        language: (info.LanguageISO || "").toLowerCase() || null,
+        groups: splitList(info.ScanInformation).map(name => ({ id: slugify(name) || makeId(name), name })),
+        uploadedAt: source.updatedAt,
+        comicInfo: info
+    };
+};
+
+const loadChapterSource = async (absolutePath, entry) => {
+    if (entry.isDirectory()) {
+        const fileNames = (await readDir(absolutePath)).filter(item => item.isFile()).map(item => item.name);
+        return { kind: "folder", ...(await readFolderChapter(absolutePath, fileNames)) };
+    }
+    return { kind: "archive", ...(await readArchiveChapter(absolutePath)) };
+};
+
+// 🔹 Chapters inside a series folder, descending one level into volume folders
+const scanSeriesFolder = async (seriesId, relativeDir) => {
+    const chapters = [];
+    let coverPath = null;
+
+    const scan = async (relDir, volume) => {
+        for (const entry of await readDir(path.join(LIBRARY_DIR, relDir))) {
+            const relativePath = path.join(relDir, entry.name);
+            const absolutePath = path.join(LIBRARY_DIR, relativePath);
+
+            if (entry.isFile() && isImage(entry.name) && !volume && /^(cover|folder)\./i.test(entry.name)) {
+                coverPath = absolutePath;
+            } else if (entry.isFile() && isArchive(entry.name)) {
+                chapters.push(buildChapter(seriesId, relativePath, await loadChapterSource(absolutePath, entry), volume));
+            } else if (entry.isDirectory()) {
+                const source = await loadChapterSource(absolutePath, entry);
+                if (source.pages.length) {
+                    chapters.push(buildChapter(seriesId, relativePath, source, volume));
+                } else if (!volume) {
+                    await scan(relativePath, parseVolumeNumber(entry.name) || entry.name); // A volume folder
+                }
+            }
+        }
+    };
+
+    await scan(relativeDir, null);
+    return { chapters, coverPath };
+};
+
+const sortChapters = (chapters) => chapters.sort((a, b) => {
+    const byNumber = (parseFloat(b.chapterNumber) || 0) - (parseFloat(a.chapterNumber) || 0);
+    return byNumber || naturalCompare(b.path, a.path);
+});
+
+// 🔹 Series-level metadata: the series ComicInfo.xml wins, then the earliest chapter that has each field
+const buildSeries = (id, fallbackTitle, chapters, coverPath, seriesInfo = {}) => {
+    sortChapters(chapters);
+    const info = Object.assign({}, ...chapters.map(ch => ch.comicInfo), seriesInfo);
+    const genres = [...new Set([...splitList(info.Genre), ...splitList(info.Tags)])];
+    const dates = chapters.map(ch => ch.uploadedAt).sort();
+
+    return {
+        id,
+        title: info.Series || fallbackTitle,
+        description: info.Summary || "No Description",
+        alternativeTitles: splitList(info.AlternateSeries),
+        authors: [...splitList(info.Writer), ...splitList(info.Penciller)],
+        genres,
+        year: parseInt(info.Year) || null,
+        status: info.Count && chapters.length >= parseInt(info.Count) ? "completed" : "ongoing",
+        createdAt: dates[0] || null,
+        updatedAt: dates[dates.length - 1] || null,
+        coverPath,
+        chapters
+    };
+};
+
+// 📌 Library Index: series by id and chapters by id, rebuilt at most every INDEX_TTL
+const getLibrary = () => indexCache.wrap("library", INDEX_TTL, async () => {
+    const series = new Map();
+    const chapters = new Map();
+    const looseArchives = new Map(); // Top-level archives grouped by ComicInfo <Series>
+
+    let rootEntries = [];
+    try {
+        rootEntries = await readDir(LIBRARY_DIR);
+    } catch (err) {
+        console.error(`Failed to read manga library at ${LIBRARY_DIR}:`, err.message);
+    }
+
+    for (const entry of rootEntries) {
+        const absolutePath = path.join(LIBRARY_DIR, entry.name);
+        try {
+            if (entry.isDirectory()) {
+                const id = makeId(entry.name);
+                const { chapters: seriesChapters, coverPath } = await scanSeriesFolder(id, entry.name);
+                const seriesInfoPath = path.join(absolutePath, "ComicInfo.xml");
+                const seriesInfo = parseComicInfo(await fs.readFile(seriesInfoPath, "utf8").catch(() => ""));
+                if (seriesChapters.length) {
+                    series.set(id, buildSeries(id, entry.name, seriesChapters, coverPath, seriesInfo));
+                }
+            } else if (entry.isFile() && isArchive(entry.name)) {
+                const source = await loadChapterSource(absolutePath, entry);
+                const seriesName = source.comicInfo.Series || path.basename(entry.name, path.extname(entry.name));
+                const group = looseArchives.get(seriesName) || [];
+                group.push({ relativePath: entry.name, source });
+                looseArchives.set(seriesName, group);
+            }
+        } catch (err) {
+            console.error(`Failed to index ${absolutePath}:`, err.message);
+        }
+    }
+
+    for (const [seriesName, group] of looseArchives) {
+        const id = makeId(`series:${seriesName}`);
+        const seriesChapters = group.map(({ relativePath, source }) => buildChapter(id, relativePath, source, null));
+        series.set(id, buildSeries(id, seriesName, seriesChapters, null));
+    }
+
+    series.forEach(item => item.chapters.forEach(ch => chapters.set(ch.id, ch)));
+
+    // Forget archives that are gone from the library
+    const archivePaths = new Set([...chapters.values()].filter(ch => ch.kind === "archive").map(ch => ch.path));
+    [...scannedArchives.keys()].filter(filePath => !archivePaths.has(filePath)).forEach(filePath => scannedArchives.delete(filePath));
+    console.log(`📚 Indexed ${series.size} series from ${LIBRARY_DIR}`);
+    return { series, chapters };
+});
+
+const coverUrl = (item) => (item.coverPath || item.chapters.length ? `local://cover/${item.id}` : null);
+
+const formatChapter = (ch) => ({
+    chapter: ch.chapterNumber,
+    title: ch.title,
+    id: ch.id,
+    groups: ch.groups,
+    updatedAt: ch.uploadedAt
+});
+
+// Chapters without a ComicInfo <LanguageISO> count as every language
+const inLanguage = (lang) => (ch) => !lang || !ch.language || ch.language === lang;
+
+const toSummary = (item, { chapterLimit = 1, total = 0, lang = null } = {}) => {
+    const chapters = item.chapters.filter(inLanguage(lang));
+    return {
+        id: item.id,
+        title: item.title,
+        cover: coverUrl(item),
+        description: item.description,
+        author: item.authors[0] || "Unknown",
+        chapters: chapterLimit === 1
+            ? (chapters[0] ? formatChapter(chapters[0]) : null)
+            : chapters.slice(0, chapterLimit).map(formatChapter),
+        tags: item.genres,
+        rating: "N/A", // No ratings for a local library
+        lastUpdated: item.updatedAt,
+        views: 0,
+        popularityTag: item.createdAt && (new Date() - new Date(item.createdAt)) / (1000 * 60 * 60 * 24) < 30 ? "new" : "",
+        totalManga: total,
+    };
+};
+
+// Ascending comparators; "desc" runs them backwards
+const SORTERS = {
+    latest: (a, b) => (a.updatedAt || "").localeCompare(b.updatedAt || ""),
+    newest: (a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""),
+    title: (a, b) => naturalCompare(a.title, b.title),
+    year: (a, b) => (a.year || 0) - (b.year || 0),
+};
+// No follow counts or ratings locally (and no keyword outside a search), so these fall back to A-Z
+const UNRANKED_SORTS = ["follows", "rating", "relevance"];
+
+const sortSeries = (items, sort, direction) => {
+    if (UNRANKED_SORTS.includes(sort)) return items.sort(SORTERS.title);
+    const compare = SORTERS[sort] || SORTERS.latest;
+    return items.sort(direction === "asc" ? compare : (a, b) => compare(b, a));
+};
+
+const paginate = (items, { offset = 0, limit = 10, chapterLimit = 1, lang = null }) => ({
+    total: items.length,
+    items: items.slice(offset, offset + limit).map(item => toSummary(item, { chapterLimit, total: items.length, lang }))
+});
+
+// 🔹 Whether a series matches a genre list: "and" needs every genre, "or" any one of them
+const matchesGenres = (item, genreIds, mode) => {
+    const hasGenre = (genreId) => item.genres.some(name => slugify(name) === genreId);
+    return mode === "or" ? genreIds.some(hasGenre) : genreIds.every(hasGenre);
+};
+
+const list = async ({
+    sort = "latest",
+    direction = "desc",
+    offset = 0,
+    limit = 10,
+    genres = [],
+    excludedGenres = [],
+    includedMode = "and",
+    excludedMode = "or",
+    status = [],
+    updatedSince = null,
+    createdSince = null,
+    chapterLimit = 1,
+    lang = null
+} = {}) => {
+    const { series } = await getLibrary();
+    const items = sortSeries([...series.values()]
+        .filter(item => !genres.length || matchesGenres(item, genres, includedMode))
+        .filter(item => !excludedGenres.length || !matchesGenres(item, excludedGenres, excludedMode))
+        .filter(item => !status.length || status.includes(item.status))
+        .filter(item => !updatedSince || new Date(item.updatedAt) >= updatedSince)
+        .filter(item => !createdSince || new Date(item.createdAt) >= createdSince), sort, direction);
+
+    return paginate(items, { offset, limit, chapterLimit, lang });
+};
+
+const summaries = async (mangaIds, { lang = null } = {}) => {
+    const { series } = await getLibrary();
+    return mangaIds.map(id => series.get(id)).filter(Boolean).map(item => toSummary(item, { lang }));
+};
+
+const search = async ({ title, sort = "relevance", direction = "desc", offset = 0, limit = 10, lang = null }) => {
+    const { series } = await getLibrary();
+    const keyword = title.toLowerCase();
+    const matches = [...series.values()]
+        .filter(item => [item.title, ...item.alternativeTitles].some(name => name.toLowerCase().includes(keyword)));
+
+    // Relevance puts titles that start with the keyword first
+    const startsWithKeyword = (item) => Number(item.title.toLowerCase().startsWith(keyword));
+    const items = sort === "relevance"
+        ? matches.sort((a, b) => direction === "asc"
+            ? startsWithKeyword(a) - startsWithKeyword(b)
+            : startsWithKeyword(b) - startsWithKeyword(a))
+        : sortSeries(matches, sort, direction);
+
+    return paginate(items, { offset, limit, lang });
+};
+
+const details = async (mangaId) => {
+    const { series } = await getLibrary();
+    const item = series.get(mangaId);
+    if (!item) return null;
+
+    return {
+        id: item.id,
+        title: item.title,
+        cover: coverUrl(item),
+        description: item.description,
+        alternativeTitles: item.alternativeTitles,
+        authors: item.authors.length ? item.authors : ["Unknown"],
+        status: item.status,
+        genres: item.genres,
+        updatedAt: item.updatedAt,
+        availableLanguages: [...new Set(item.chapters.map(ch => ch.language).filter(Boolean))],
+        follows: 0,
+        rating: "N/A",
+        ratingCount: 0,
+        popularityTag: toSummary(item).popularityTag
+    };
+};
+
+const chapters = async (mangaId, { lang = null } = {}) => {
+    const { series } = await getLibrary();
+    const item = series.get(mangaId);
+    if (!item) return [];
+
+    return item.chapters.filter(inLanguage(lang)).map(ch => ({
+        id: ch.id,
+        chapterNumber: ch.chapterNumber,
+        volume: ch.volume,
+        title: ch.title,
+        groups: ch.groups,
+        uploadedAt: ch.uploadedAt
+    }));
+};
+
+// 🔹 A volume's cover is the first page of its first chapter
+const volumeCovers = async (mangaId) => {
+    const { series } = await getLibrary();
+    const covers = {};
+    [...(series.get(mangaId)?.chapters || [])].reverse().forEach(ch => {
+        if (ch.volume && !covers[ch.volume]) covers[ch.volume] = `local://${ch.id}/1`;
+    });
+    return covers;
+};
+
+const pages = async (chapterId) => {
+    const { series, chapters: chapterIndex } = await getLibrary();
+    const chapter = chapterIndex.get(chapterId);
+    if (!chapter) return null;
+
+    return {
+        id: chapter.id,
+        chapter: chapter.chapterNumber,
+        title: chapter.title,
+        mangaId: chapter.seriesId,
+        mangaTitle: series.get(chapter.seriesId)?.title || "Unknown Title",
+        language: chapter.language,
+        groups: chapter.groups,
+        uploadedTime: chapter.uploadedAt,
+        pages: chapter.pages.map((page, index) => `local://${chapter.id}/${index + 1}`)
+    };
+};
+
+const chapterManga = async (chapterId) => {
+    const { chapters: chapterIndex } = await getLibrary();
+    return chapterIndex.get(chapterId)?.seriesId || null;
+};
+
+// 🔹 Groups only exist as names in ComicInfo, so a group is every chapter credited to that name
+const group = async (groupId, { limit = 30 } = {}) => {
+    const { series, chapters: chapterIndex } = await getLibrary();
+    const credited = [...chapterIndex.values()].filter(ch => ch.groups.some(item => item.id === groupId));
+    if (!credited.length) return null;
+
+    return {
+        id: groupId,
+        name: credited[0].groups.find(item => item.id === groupId).name,
+        description: "",
+        website: null,
+        releases: credited
+            .sort((a, b) => (b.uploadedAt || "").localeCompare(a.uploadedAt || ""))
+            .slice(0, limit)
+            .map(ch => ({
+                id: ch.id,
+                chapterNumber: ch.chapterNumber,
+                volume: ch.volume,
+                title: ch.title,
+                language: ch.language,
+                mangaId: ch.seriesId,
+                mangaTitle: series.get(ch.seriesId)?.title || "Unknown Title",
+                uploadedAt: ch.uploadedAt
+            }))
+    };
+};
+
+const genres = async () => {
+    const { series } = await getLibrary();
+    const names = new Set();
+    series.forEach(item => item.genres.forEach(name => names.add(name)));
+    return [...names].sort(naturalCompare).map(name => ({ id: slugify(name), name }));
+};
+
+const readPage = async (chapter, index) => {
+    const pageName = chapter.pages[index];
+    if (!pageName) throw createImageError(404, "Page not found");
+
+    if (chapter.kind === "folder") return fs.readFile(path.join(chapter.path, pageName));
+    const zip = await getArchive(chapter.path);
+    return zip.readFile(pageName);
+};
+
+// 🔹 Only ids from the index are ever resolved to files, so a URL can never point outside the library
+const getImage = async (url) => {
+    const match = /^local:\/\/([^/]+)\/([^/]+)$/.exec(url || "");
+    if (!match) throw createImageError(400, "url must be a local library image");
+
+    const { series, chapters: chapterIndex } = await getLibrary();
+
+    if (match[1] === "cover") {
+        const item = series.get(match[2]);
+        if (!item) throw createImageError(404, "Series not found");
+        if (item.coverPath) return fs.readFile(item.coverPath);
+        return readPage(item.chapters[item.chapters.length - 1], 0); // First page of the first chapter
+    }
+
+    const chapter = chapterIndex.get(match[1]);
+    if (!chapter) throw createImageError(404, "Chapter not found");
+    return readPage(chapter, parseInt(match[2]) - 1);
+};
+
+module.exports = { name: "local", search, list, summaries, details, chapters, volumeCovers, pages, chapterManga, group, genres, getImage };
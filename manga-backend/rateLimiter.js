@@ -0,0 +1,80 @@
+// 📌 Token-bucket scheduler for upstream requests
+// Tasks wait in a FIFO queue and start only when a token is available.
+// Tokens refill continuously at `ratePerSecond`, up to `burst`.
+// `pauseUntil` stops the whole queue when the upstream tells us to back off.
+const createRateLimiter = ({ name = "upstream", ratePerSecond = 5, burst = ratePerSecond, maxConcurrent = Infinity } = {}) => {
+    const queue = [];
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let active = 0;
+    let pausedUntil = 0;
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+        if (now <= lastRefill) return; // Still paused
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    };
+
+    const wake = (delay) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            drain();
+        }, Math.max(delay, 0));
+    };
+
+    const drain = () => {
+        while (queue.length > 0) {
+            const now = Date.now();
+            if (pausedUntil > now) return wake(pausedUntil - now);
+            if (active >= maxConcurrent) return; // A finishing task drains again
+
+            refill();
+            if (tokens < 1) return wake(((1 - tokens) / ratePerSecond) * 1000);
+
+            tokens -= 1;
+            active += 1;
+            const { task, resolve, reject } = queue.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active -= 1;
+                    drain();
+                });
+        }
+    };
+
+    // 🔹 Queue a task; resolves with the task's own result
+    const schedule = (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        drain();
+    });
+
+    // 🔹 Hold every queued request until `timestamp` (ms since epoch)
+    const pauseUntil = (timestamp) => {
+        if (timestamp <= pausedUntil) return;
+        pausedUntil = timestamp;
+        // Start refilling from an empty bucket once the pause ends, so we do not burst straight back in
+        tokens = 0;
+        lastRefill = timestamp;
+        console.log(`⏳ ${name} rate limit hit, pausing for ${Math.ceil((timestamp - Date.now()) / 1000)}s`);
+    };
+
+    const stats = () => {
+        refill();
+        return {
+            name,
+            queued: queue.length,
+            active,
+            tokens: Math.floor(tokens),
+            pausedForMs: Math.max(pausedUntil - Date.now(), 0),
+        };
+    };
+
+    return { schedule, pauseUntil, stats };
+};
+
+module.exports = { createRateLimiter };
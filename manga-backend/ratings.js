@@ -0,0 +1,74 @@
+const express = require("express");
+const { createMap } = require("./store");
+
+// 📌 Site Star Ratings (1-5, One Vote per User)
+// Stored as ratings[mangaId][userId] = { score, ratedAt }; voting again replaces the old vote.
+// This is the site's own rating, shown next to the source's rating rather than mixed into it.
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+const createRatings = ({ store, provider, requireUser }) => {
+    const ratings = store.collection("ratings");
+    const router = express.Router();
+
+    // 🔹 { average, count } for one manga; average is null until someone votes
+    const getSummary = (mangaId) => {
+        const votes = Object.hasOwn(ratings, mangaId) ? ratings[mangaId] : {};
+        const scores = Object.values(votes).map(vote => vote.score);
+        const average = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+        return { average: average === null ? null : Number(average.toFixed(1)), count: scores.length };
+    };
+
+    const toResponse = (req, mangaId) => ({
+        mangaId,
+        ...getSummary(mangaId),
+        userRating: req.user && Object.hasOwn(ratings, mangaId) && Object.hasOwn(ratings[mangaId], req.user.id)
+            ? ratings[mangaId][req.user.id].score
+            : null
+    });
+
+    // 📌 Summary (Plus the current user's own vote when logged in)
+    router.get("/:mangaId", (req, res) => {
+        res.json(toResponse(req, req.params.mangaId));
+    });
+
+    // 📌 Vote
+    router.put("/:mangaId", requireUser, async (req, res) => {
+        try {
+            const { mangaId } = req.params;
+            const score = Number(req.body.score);
+            if (!ID_PATTERN.test(mangaId)) return res.status(400).json({ error: "Invalid manga id" });
+            if (!Number.isInteger(score) || score < 1 || score > 5) {
+                return res.status(400).json({ error: "score must be a whole number from 1 to 5" });
+            }
+
+            // 🔹 The first vote on a manga checks that it exists, so ids cannot be made up
+            if (!Object.hasOwn(ratings, mangaId)) {
+                const [manga] = await provider.summaries([mangaId]);
+                if (!manga) return res.status(404).json({ error: "Manga not found" });
+                // Another first vote may have landed while we waited, so never replace its map
+                if (!Object.hasOwn(ratings, mangaId)) ratings[mangaId] = createMap();
+            }
+
+            ratings[mangaId][req.user.id] = { score, ratedAt: new Date().toISOString() };
+            store.save();
+            res.json(toResponse(req, mangaId));
+        } catch (error) {
+            console.error("Failed to save rating:", error);
+            res.status(500).json({ error: "Failed to save rating" });
+        }
+    });
+
+    // 📌 Withdraw Vote
+    router.delete("/:mangaId", requireUser, (req, res) => {
+        const { mangaId } = req.params;
+        if (Object.hasOwn(ratings, mangaId) && Object.hasOwn(ratings[mangaId], req.user.id)) {
+            delete ratings[mangaId][req.user.id];
+            store.save();
+        }
+        res.json(toResponse(req, mangaId));
+    });
+
+    return { router, getSummary };
+};
+
+module.exports = { createRatings };
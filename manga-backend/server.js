@@ -1,380 +1,260 @@
 const express = require("express");
 const cors = require("cors");
-const fetch = require("node-fetch");
 const sharp = require("sharp"); // Import sharp
+const path = require("path");
+const { createTtlCache } = require("./cache");
+const { createDiskCache } = require("./imageCache");
+const { MAX_INPUT_PIXELS, createImageError } = require("./imageGuard");
+const { getUpstreamStats } = require("./upstream");
+const { getProvider } = require("./providers");
+const { createJsonStore } = require("./store");
+const { createAuth } = require("./auth");
+const { createCaptchaService } = require("./captcha");
+const { createBookmarks } = require("./bookmarks");
+const { createProgress } = require("./progress");
+const { createNotifications } = require("./notifications");
+const { createViewCounter } = require("./views");
+const { createRatings } = require("./ratings");
+const { createComments } = require("./comments");
+const { resolveLanguage } = require("./language");
 
 const app = express();
-app.use(cors());
+// The pages are served from another port, so CORS must allow the session cookie through, but
+// only for the site's own frontend: FRONTEND_ORIGINS is a comma-separated list of origins
+// (defaults to a local static server on port 5500)
+const FRONTEND_ORIGINS = (process.env.FRONTEND_ORIGINS || "http://localhost:5500,http://127.0.0.1:5500")
+    .split(",").map(origin => origin.trim().replace(/\/+$/, "")).filter(Boolean);
+app.use(cors({ origin: FRONTEND_ORIGINS, credentials: true }));
+app.use(express.json());
 
-const BASE_URL = "https://api.mangadex.org";
 const SERVER_URL = "http://localhost:5000";
 
-const fetchWithTimeout = async (url, options = {}, timeout = 10000) => {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+// Chosen once at startup with MANGA_SOURCE (defaults to MangaDex)
+const provider = getProvider();
+
+// Accounts and other site data, kept in DATA_DIR/site.json
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+const store = createJsonStore({ file: path.join(DATA_DIR, "site.json") });
+
+const captcha = createCaptchaService();
+const auth = createAuth({ store, captcha });
+app.use(auth.loadUser);
+app.use(resolveLanguage);
+app.use("/auth", auth.router);
+
+// 📌 New Captcha Challenge (Token + PNG data URL for the login/register forms)
+app.get("/captcha", async (req, res) => {
     try {
-        const response = await fetch(url, { ...options, signal: controller.signal });
-        clearTimeout(timeoutId);
-        return response;
+        res.set("Cache-Control", "no-store");
+        res.json(await captcha.create());
     } catch (error) {
-        clearTimeout(timeoutId);
-        throw error;
+        console.error("Failed to create captcha:", error);
+        res.status(500).json({ error: "Failed to create captcha" });
     }
+});
+
+
+// 📌 Caching
+// Route responses are cached whole (with X-Cache: HIT/MISS); upstream JSON is cached per URL in upstream.js.
+const CACHE_TTL = {
+    genres: 24 * 60 * 60 * 1000,
+    topAllTime: 60 * 60 * 1000,
+    topWeekly: 30 * 60 * 1000,
+    list: 5 * 60 * 1000,
+    details: 5 * 60 * 1000,
+    search: 5 * 60 * 1000,
 };
 
+const routeCache = createTtlCache({ maxEntries: 200 });
 
-const fetchWithRetry = async (url, options = {}, retries = 3) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetchWithTimeout(url, options);
-            if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
-            return response;
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            console.log(`Retrying (${i + 1}/${retries})...`);
-            await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait 2 seconds before retrying
-        }
+// `live(body)` runs on every successful response, cached or not, to add fields that must never be stale.
+// `vary(req)` adds anything else from the user that changes the response to the cache key.
+const cacheRoute = (ttl, live = (body) => body, vary = () => "") => (req, res, next) => {
+    const key = `${req.lang} ${vary(req)} ${req.originalUrl}`; // The language may come from the user, not the URL
+    const cached = routeCache.get(key);
+    if (cached !== undefined) {
+        res.set("X-Cache", "HIT");
+        return res.json(live(cached));
     }
+
+    res.set("X-Cache", "MISS");
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode !== 200) return sendJson(body); // Never cache errors
+        routeCache.set(key, body, ttl);
+        return sendJson(live(body));
+    };
+    next();
+};
+
+// 🔹 Route an image through /proxy-image so the browser never hits the source directly.
+// The frontend swaps `w` to build srcset variants from this URL.
+const proxyImageUrl = (url, width) => {
+    if (!url) return null;
+    return `${SERVER_URL}/proxy-image?url=${encodeURIComponent(url)}${width ? `&w=${width}` : ""}`;
+};
+
+const withProxiedCovers = (mangaList) => mangaList.map(manga => ({ ...manga, cover: proxyImageUrl(manga.cover) }));
+
+const daysAgo = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date;
 };
 
+const formatDateTime = (value) => new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true
+});
+
+
+
+// 📌 Image Proxy Options
+// Sizes are allowlisted so clients cannot ask sharp for arbitrary work (and the variants stay few).
+const IMAGE_SIZES = [64, 150, 256, 320, 512, 640, 800, 1000, 1280, 1600];
+const IMAGE_FITS = ["cover", "contain", "fill", "inside", "outside"];
+const IMAGE_FORMATS = ["auto", "jpeg", "webp", "avif", "png"];
 
+// 🔹 Validate the resize/encode query params; returns { error } on the first bad one
+const parseImageOptions = (query) => {
+    const width = query.w === undefined ? 150 : Number(query.w); // Covers stay at 150px unless asked
+    const height = query.h === undefined ? null : Number(query.h);
+    const fit = query.fit || "cover";
+    const quality = query.q === undefined ? 80 : Number(query.q);
+    const format = query.format || "auto";
+
+    if (!IMAGE_SIZES.includes(width)) return { error: `w must be one of ${IMAGE_SIZES.join(", ")}` };
+    if (height !== null && !IMAGE_SIZES.includes(height)) return { error: `h must be one of ${IMAGE_SIZES.join(", ")}` };
+    if (!IMAGE_FITS.includes(fit)) return { error: `fit must be one of ${IMAGE_FITS.join(", ")}` };
+    if (!Number.isInteger(quality) || quality < 30 || quality > 95) return { error: "q must be a whole number from 30 to 95" };
+    if (!IMAGE_FORMATS.includes(format)) return { error: `format must be one of ${IMAGE_FORMATS.join(", ")}` };
+
+    return { width, height, fit, quality, format };
+};
+
+// 🔹 format=auto picks the smallest format the browser says it accepts
+const negotiateFormat = (format, acceptHeader = "") => {
+    if (format !== "auto") return format;
+    if (acceptHeader.includes("image/avif")) return "avif";
+    if (acceptHeader.includes("image/webp")) return "webp";
+    return "jpeg";
+};
 
+// Processed images are kept on disk, so a cover is downloaded and resized once per variant
+const imageCache = createDiskCache({
+    dir: path.resolve(process.env.IMAGE_CACHE_DIR || path.join(__dirname, ".image-cache")),
+    maxBytes: (parseInt(process.env.IMAGE_CACHE_MAX_MB) || 500) * 1024 * 1024
+});
+const IMAGE_MAX_AGE = 7 * 24 * 60 * 60; // Seconds browsers may reuse an image without asking
 
 app.get("/proxy-image", async (req, res) => {
+    const options = parseImageOptions(req.query);
+    if (options.error) return res.status(400).json({ error: options.error });
+
     try {
         const imageUrl = req.query.url;
-        // const response = await fetch(imageUrl, {
-        const response = await fetchWithRetry(imageUrl, {
-            headers: {
-                "Referer": "https://mangadex.org",
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36"
+        if (typeof imageUrl !== "string" || !imageUrl) return res.status(400).json({ error: "url is required" });
+
+        const format = negotiateFormat(options.format, req.get("Accept"));
+        const variantKey = [imageUrl, options.width, options.height, options.fit, options.quality, format].join("|");
+
+        const image = await imageCache.wrap(variantKey, async () => {
+            const imageBuffer = await provider.getImage(imageUrl);
+            try {
+                const body = await sharp(imageBuffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                    .resize({
+                        width: options.width,
+                        height: options.height || undefined,
+                        fit: options.fit,
+                        withoutEnlargement: true
+                    })
+                    .toFormat(format, { quality: options.quality })
+                    .toBuffer();
+                return { body, contentType: `image/${format}` };
+            } catch (err) {
+                // Not really an image, or too many pixels to decode safely
+                throw createImageError(422, "Image could not be processed");
             }
         });
 
-        if (!response.ok) throw new Error("Failed to fetch image");
-
-        const imageBuffer = await response.buffer(); // Convert image to buffer
+        if (options.format === "auto") res.set("Vary", "Accept");
+        res.set({
+            "ETag": `"${image.hash}"`,
+            "Cache-Control": `public, max-age=${IMAGE_MAX_AGE}`,
+            "X-Cache": image.cacheHit ? "HIT" : "MISS"
+        });
 
-        // Resize image using sharp (Example: Resize to 300px width)
-        const resizedImage = await sharp(imageBuffer)
-            .resize({ width: 150 }) // Resize width to 300px (adjust as needed)
-            .jpeg({ quality: 80 }) // Reduce JPEG quality
-            .toBuffer(); // Convert back to buffer
+        // 🔹 Browser already has this exact image (If-None-Match matches the ETag)
+        if (req.fresh) return res.status(304).end();
 
-        // res.set("Content-Type", response.headers.get("Content-Type"));
-        res.set("Content-Type", "image/jpeg"); // Ensure proper MIME type
-        res.send(resizedImage); // Send resized image
+        res.set("Content-Type", image.contentType);
+        res.send(image.body);
     } catch (error) {
+        if (error.expose) return res.status(error.status).json({ error: error.message });
+        console.error("Failed to proxy image:", error);
         res.status(500).json({ error: "Failed to load image" });
     }
 });
 
 // 📌 Get Latest Manga (With Cover Image, Author, Chapters, Ratings & Tags)
-app.get("/latest-manga", async (req, res) => {
+app.get("/latest-manga", cacheRoute(CACHE_TTL.list), async (req, res) => {
     try {
-        let offset = req.query.offset || 0; // Pagination support
-        const response = await fetchWithRetry(`${BASE_URL}/manga?order[latestUploadedChapter]=desc&limit=10&offset=${offset}`);
-        // const response = await fetch(`${BASE_URL}/manga?order[latestUploadedChapter]=desc&limit=10&offset=${offset}`);
-        const mangaData = await response.json();
-
-        // Process each manga to include cover, author, chapters, rating & tags
-        const mangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            // 🔹 Get Cover Image
-            const coverId = manga.relationships.find(rel => rel.type === "cover_art")?.id;
-            // const coverUrl = coverId ? `https://uploads.mangadex.org/covers/${manga.id}/${coverId}.jpg` : "https://via.placeholder.com/150";
-
-            // Get Cover Image start
-            let coverUrl = "https://via.placeholder.com/150"; // Default placeholder
-
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            if (coverRel) {
-                const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                // const coverResponse = await fetch(`${BASE_URL}/cover/${coverRel.id}`);
-                const coverData = await coverResponse.json();
-                const coverFilename = coverData.data?.attributes?.fileName;
-                if (coverFilename) {
-                    // const originalCoverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}`;
-                    // coverUrl = `${SERVER_URL}/proxy-image?url=${encodeURIComponent(originalCoverUrl)}`;
-                    // coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.{256, 512}.jpg`;
-                    coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.256.jpg`;
-                }
-            }
-            // Get Cover Image end
-
-            // 🔹 Get Author Name (Fetch separately)
-            const authorRel = manga.relationships.find(rel => rel.type === "author" || rel.type === "artist");
-            let author = "Unknown";
-            if (authorRel) {
-                const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                // const authorResponse = await fetch(`${BASE_URL}/author/${authorRel.id}`);
-                const authorData = await authorResponse.json();
-                author = authorData.data?.attributes?.name || "Unknown";
-            }
+        let offset = parseInt(req.query.offset) || 0; // Pagination support
 
-            // 🔹 Fetch Last 3 Chapters
-            const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=3&translatedLanguage[]=en&order[chapter]=desc`);
-            // const chapterResponse = await fetch(`${BASE_URL}/chapter?manga=${manga.id}&limit=3&translatedLanguage[]=en&order[chapter]=desc`);
-            const chapterData = await chapterResponse.json();
-            const lastThreeChapters = chapterData.data.map(ch => ({
-                chapter: ch.attributes.chapter || "N/A",
-                title: ch.attributes.title || "",
-                id: ch.id,
-                updatedAt: ch.attributes.readableAt || "Unknown Date"
-            }));
-
-            // 🔹 Get Tags
-            const tags = manga.attributes.tags.map(tag => tag.attributes.name.en);
-
-            // 🔹 Get Follows (Fix Follow Count & Estimate Rating)
-            const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-            // const statsResponse = await fetch(`${BASE_URL}/statistics/manga/${manga.id}`);
-            const statsData = await statsResponse.json();
-            const follows = statsData.statistics[manga.id]?.follows || 0;
-            // const rating = statsData.statistics[manga.id]?.rating?.average?.toFixed(1) || "N/A";
-            const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-            const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A"; // Convert to 5-point scale
-
-            // 🔹 Determine Popularity Tag (SS, HOT, NEW)
-            let tag = "";
-            if (follows > 50000) tag = "ss"; // Super Star
-            else if (follows > 10000) tag = "hot";
-
-            // Check if the manga is new (published in the last 30 days)
-            if (manga.attributes.createdAt) {
-                const createdAt = new Date(manga.attributes.createdAt);
-                const now = new Date();
-                const daysSinceCreated = (now - createdAt) / (1000 * 60 * 60 * 24);
-                if (daysSinceCreated < 30) tag = "new";
-            }
+        // 🔹 Last 3 chapters per manga for the home page listing
+        const { items } = await provider.list({ sort: "latest", offset, limit: 10, chapterLimit: 3, lang: req.lang });
 
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                // cover: `/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                cover: `${SERVER_URL}/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                // cover: coverUrl,
-                author: author,
-                chapters: lastThreeChapters,
-                tags: tags,
-                rating: rating,
-                popularityTag: tag // "SS", "HOT", or "NEW"
-            };
-        }));
-
-        res.json(mangaList);
+        res.json(withProxiedCovers(items));
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch manga data" });
     }
 });
 
 
-app.get("/new-manga", async (req, res) => {
+app.get("/new-manga", cacheRoute(CACHE_TTL.list), async (req, res) => {
     try {
-        let offset = req.query.offset || 0;
-        const response = await fetchWithRetry(`${BASE_URL}/manga?order[latestUploadedChapter]=desc&limit=100&offset=${offset}`);
-        // const response = await fetch(`${BASE_URL}/manga?order[latestUploadedChapter]=desc&limit=100&offset=${offset}`);
-        const mangaData = await response.json();
-
-        const now = new Date();
-
-        // Filter manga from last 30 days
-        let newMangaList = mangaData.data.filter(manga => {
-            const createdAt = new Date(manga.attributes.createdAt);
-            return (now - createdAt) / (1000 * 60 * 60 * 24) < 30;
-        });
+        let offset = parseInt(req.query.offset) || 0;
 
-        // Ensure at least 10 manga
-        if (newMangaList.length < 10) {
-            let olderManga = mangaData.data.filter(manga => !newMangaList.includes(manga));
-            newMangaList = [...newMangaList, ...olderManga.slice(0, 10 - newMangaList.length)];
+        // 🔹 Recently updated manga created in the last 30 days
+        const recent = await provider.list({ sort: "latest", offset, limit: 10, createdSince: daysAgo(30), chapterLimit: 3, lang: req.lang });
+        let mangaList = recent.items;
+
+        // Ensure at least 10 manga; the fill-ins only show their latest chapter (one batched lookup)
+        if (mangaList.length < 10) {
+            const latest = await provider.list({ sort: "latest", offset, limit: 10, lang: req.lang });
+            const olderManga = latest.items
+                .filter(manga => !mangaList.some(item => item.id === manga.id))
+                .map(manga => ({ ...manga, chapters: manga.chapters ? [manga.chapters] : [] }));
+            mangaList = [...mangaList, ...olderManga.slice(0, 10 - mangaList.length)];
         }
 
-        // Process manga
-        newMangaList = await Promise.all(newMangaList.map(async (manga) => {
-            // Get Cover
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            let coverUrl = "https://via.placeholder.com/150";
-
-            if (coverRel) {
-                try {
-                    const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                    // const coverResponse = await fetch(`${BASE_URL}/cover/${coverRel.id}`);
-                    const coverData = await coverResponse.json();
-                    if (coverData.data?.attributes?.fileName) {
-                        coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverData.data.attributes.fileName}.256.jpg`;
-                    }
-                } catch (err) {
-                    console.error("Failed to fetch cover:", err);
-                }
-            }
-
-            // Get Author
-            let author = "Unknown";
-            const authorRel = manga.relationships.find(rel => rel.type === "author" || rel.type === "artist");
-            if (authorRel) {
-                try {
-                    const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                    // const authorResponse = await fetch(`${BASE_URL}/author/${authorRel.id}`);
-                    const authorData = await authorResponse.json();
-                    author = authorData.data?.attributes?.name || "Unknown";
-                } catch (err) {
-                    console.error("Failed to fetch author:", err);
-                }
-            }
-
-            // Get Last 3 Chapters
-            let lastThreeChapters = [];
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=3&translatedLanguage[]=en&order[chapter]=desc`);
-                // const chapterResponse = await fetch(`${BASE_URL}/chapter?manga=${manga.id}&limit=3&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-                lastThreeChapters = chapterData.data.map(ch => ({
-                    chapter: ch.attributes.chapter || "N/A",
-                    title: ch.attributes.title || "",
-                    id: ch.id,
-                    updatedAt: ch.attributes.readableAt || "Unknown Date"
-                }));
-            } catch (err) {
-                console.error("Failed to fetch chapters:", err);
-            }
-
-            // Get Tags
-            const tags = manga.attributes.tags.map(tag => tag.attributes.name.en);
-
-            // Get Follow Count & Rating
-            let follows = 0, rating = "N/A";
-            try {
-                const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-                // const statsResponse = await fetch(`${BASE_URL}/statistics/manga/${manga.id}`);
-                const statsData = await statsResponse.json();
-                follows = statsData.statistics[manga.id]?.follows || 0;
-                const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-                rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A";
-            } catch (err) {
-                console.error("Failed to fetch stats:", err);
-            }
-
-            // Determine Popularity Tag
-            let tag = "";
-            if (follows > 50000) tag = "ss";
-            else if (follows > 10000) tag = "hot";
-            if ((now - new Date(manga.attributes.createdAt)) / (1000 * 60 * 60 * 24) < 30) tag = "new";
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: coverUrl,
-                author: author,
-                chapters: lastThreeChapters,
-                tags: tags,
-                rating: rating,
-                popularityTag: tag
-            };
-        }));
-
-        res.json(newMangaList.slice(0, 10));
+        res.json(withProxiedCovers(mangaList));
     } catch (error) {
         console.error("Error:", error);
         res.status(500).json({ error: "Failed to fetch new manga" });
     }
 });
 
-function getEncodedCurrentDate() {
-    const now = new Date();
-    now.setDate(now.getDate() - 7); // Subtract 7 days for weekly data
 
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-
-    const originalDate = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
-    return encodeURIComponent(originalDate);
-}
-
-
-
-app.get("/top-weekly", async (req, res) => {
+app.get("/top-weekly", cacheRoute(CACHE_TTL.topWeekly), async (req, res) => {
     try {
-        let offset = req.query.offset || 0;
-        const encodedDate = getEncodedCurrentDate();
-        // const response = await fetchWithRetry(`${BASE_URL}/manga?limit=12&order[followedCount]=desc&offset=${offset}`);
-        const response = await fetchWithRetry(`${BASE_URL}/manga?limit=10&includedTagsMode=AND&excludedTagsMode=OR&status%5B%5D=ongoing&status%5B%5D=completed&status%5B%5D=hiatus&contentRating%5B%5D=safe&contentRating%5B%5D=suggestive&contentRating%5B%5D=erotica&updatedAtSince=${encodedDate}&order%5BlatestUploadedChapter%5D=desc&includes%5B%5D=manga
-`);
-        const mangaData = await response.json();
-
-        if (!mangaData.data) {
+        const { items } = await provider.list({
+            sort: "latest",
+            limit: 10,
+            status: ["ongoing", "completed", "hiatus"],
+            updatedSince: daysAgo(7), // Weekly data
+            lang: req.lang
+        });
+
+        if (!items.length) {
             return res.status(404).json({ error: "No manga found" });
         }
 
-        const now = new Date();
-
-        // Process manga list
-        const topMangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            // Get Cover Image
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            let coverUrl = "https://via.placeholder.com/150";
-
-            if (coverRel) {
-                try {
-                    const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                    // const coverResponse = await fetch(`${BASE_URL}/cover/${coverRel.id}`);
-                    const coverData = await coverResponse.json();
-                    if (coverData.data?.attributes?.fileName) {
-                        coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverData.data.attributes.fileName}.256.jpg`;
-                    }
-                } catch (err) {
-                    console.error("Failed to fetch cover:", err);
-                }
-            }
-
-
-            // Get Latest Chapter
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
-
-
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: coverUrl,
-                chapters: latestChapter,
-            };
-        }));
+        const topMangaList = items.map(({ id, title, cover, chapters }) => ({ id, title, cover: proxyImageUrl(cover, 256), chapters }));
 
         res.json(topMangaList);
     } catch (error) {
@@ -384,49 +264,15 @@ app.get("/top-weekly", async (req, res) => {
 });
 
 
-app.get("/top-all-time", async (req, res) => {
+app.get("/top-all-time", cacheRoute(CACHE_TTL.topAllTime), async (req, res) => {
     try {
-        const response = await fetchWithRetry(`${BASE_URL}/manga?limit=10&order[followedCount]=desc`);
-        const mangaData = await response.json();
+        const { items } = await provider.list({ sort: "follows", limit: 10, lang: req.lang });
 
-        if (!mangaData.data) {
+        if (!items.length) {
             return res.status(404).json({ error: "No manga found" });
         }
 
-        // Process manga list
-        const topMangaList = await Promise.all(mangaData.data.map(async (manga) => {
-
-            // Get Latest Chapter
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
-
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                chapters: latestChapter
-            };
-        }));
+        const topMangaList = items.map(({ id, title, chapters }) => ({ id, title, chapters }));
 
         res.json(topMangaList);
     } catch (error) {
@@ -437,440 +283,246 @@ app.get("/top-all-time", async (req, res) => {
 
 
 
-// 📌 Get Manga Details (With Cover Image, Latest Chapter, Author, Tags, Popularity)
-app.get("/manga/:id", async (req, res) => {
-    try {
-        const mangaId = req.params.id;
-
-        // 🔹 Fetch Manga Details
-        const mangaResponse = await fetchWithRetry(`${BASE_URL}/manga/${mangaId}`);
-        const mangaChapterDataInfo = await fetchWithRetry(`${BASE_URL}/manga/${mangaId}/feed`);
-        console.log(mangaChapterDataInfo);
-
-        // const mangaResponse = await fetch(`${BASE_URL}/manga/${mangaId}`);
-        const mangaData = await mangaResponse.json();
-        if (!mangaData.data) return res.status(404).json({ error: "Manga not found" });
-
-        const manga = mangaData.data;
-
-        // 🔹 Fetch Cover Image
-        let coverUrl = "https://via.placeholder.com/150"; // Default image
-        const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-        if (coverRel) {
-            const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-            // const coverResponse = await fetch(`${BASE_URL}/cover/${coverRel.id}`);
-            const coverData = await coverResponse.json();
-            if (coverData.data?.attributes?.fileName) {
-                coverUrl = `https://uploads.mangadex.org/covers/${mangaId}/${coverData.data.attributes.fileName}`;
-            }
-        }
-
-        // 🔹 Fetch Alternative Titles
-        // const altTitles = manga.attributes.altTitles.map(obj => Object.values(obj)[0]);
-        const altTitles = manga.attributes.altTitles?.length > 0 ? manga.attributes.altTitles.map(obj => Object.values(obj)[0]) : [];
+// 📌 Chapter View Counts & Site Ratings (Recorded by readers, shown on the details page)
+const views = createViewCounter({ store, provider });
+app.use("/chapter", views.router);
 
-        const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-        ? (manga.attributes.altTitles.find(obj => obj.en)
-            ? manga.attributes.altTitles.find(obj => obj.en).en
-            : Object.values(manga.attributes.altTitles[0])[0])
-        : "No Title";
+const ratings = createRatings({ store, provider, requireUser: auth.requireUser });
+app.use("/ratings", ratings.router);
 
+// 📌 Chapter Lists
+// Providers return every upload, so a chapter scanlated by several groups shows up several times.
+// One upload is kept per chapter number, picked in this order:
+//   1. not by a group the user ignores (those are only used when no one else has the chapter)
+//   2. by the group the user prefers most (earliest in their preferredGroups)
+//   3. the earliest upload, since that is the release readers saw first and it stays put when
+//      another group uploads the same chapter later
+// Chapters without a number (oneshots, extras) are all kept.
+const CHAPTER_PAGE_SIZE = 100;
+const MAX_CHAPTER_PAGE_SIZE = 500;
+const chapterListCache = createTtlCache({ maxEntries: 100 });
 
+const getGroupPreferences = (user) => ({
+    preferredGroups: user?.preferredGroups || [],
+    ignoredGroups: user?.ignoredGroups || []
+});
 
-        // 🔹 Fetch Author(s)
-        const authors = await Promise.all(
-            manga.relationships
-                .filter(rel => rel.type === "author" || rel.type === "artist")
-                .map(async (rel) => {
-                    const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${rel.id}`);
-                    // const authorResponse = await fetch(`${BASE_URL}/author/${rel.id}`);
-                    const authorData = await authorResponse.json();
-                    return authorData.data?.attributes?.name || "Unknown";
-                })
-        );
+// 🔹 Cache key part for responses that depend on the user's group preferences ("" for most users)
+const groupPreferencesKey = (req) => {
+    const { preferredGroups, ignoredGroups } = getGroupPreferences(req.user);
+    return preferredGroups.length || ignoredGroups.length ? `groups:${preferredGroups}|${ignoredGroups}` : "";
+};
 
-        // 🔹 Get Manga Status (Ongoing/Completed)
-        const status = manga.attributes.status.charAt(0).toUpperCase() + manga.attributes.status.slice(1);
+const dedupeChapters = (chapterList, { preferredGroups, ignoredGroups }) => {
+    const ignoredRank = (ch) => (ch.groups.some(group => ignoredGroups.includes(group.id)) ? 1 : 0);
+    const preferenceRank = (ch) => Math.min(...ch.groups.map(group => preferredGroups.indexOf(group.id)).filter(rank => rank >= 0));
+    const compareUploads = (ch, kept) => ignoredRank(ch) - ignoredRank(kept)
+        || preferenceRank(ch) - preferenceRank(kept) // Infinity - Infinity is NaN, so two unpreferred uploads fall through
+        || new Date(ch.uploadedAt) - new Date(kept.uploadedAt);
+
+    const best = new Map(); // chapterNumber -> chapter
+    chapterList.forEach(ch => {
+        if (ch.chapterNumber === "N/A") return;
+        const kept = best.get(ch.chapterNumber);
+        if (!kept || compareUploads(ch, kept) < 0) best.set(ch.chapterNumber, ch);
+    });
+    return chapterList.filter(ch => ch.chapterNumber === "N/A" || best.get(ch.chapterNumber) === ch);
+};
 
-        // 🔹 Get Genres (Tags)
-        const genres = manga.attributes.tags.map(tag => tag.attributes.name.en);
+// 🔹 Every upload, formatted for the page and newest first; shared by /manga/:id and /manga/:id/chapters
+const getChapterUploads = (mangaId, lang) => chapterListCache.wrap(`${lang} ${mangaId}`, CACHE_TTL.details, async () => {
+    const chapterList = await provider.chapters(mangaId, { lang });
+    return chapterList.map(ch => ({
+        id: ch.id,
+        chapterNumber: ch.chapterNumber,
+        volume: ch.volume || null,
+        title: ch.title,
+        groups: ch.groups || [],
+        uploadedAt: ch.uploadedAt,
+        uploadedTime: formatDateTime(ch.uploadedAt)
+    }));
+});
 
-        // 🔹 Fetch Statistics (Follows & Ratings)
-        const statsResponse = await fetch(`${BASE_URL}/statistics/manga/${mangaId}`);
-        const statsData = await statsResponse.json();
-        const follows = statsData.statistics?.[mangaId]?.follows || 0; // Followers count
-        const rawRating = statsData.statistics?.[mangaId]?.rating?.average || 0;
-        const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A"; // Convert to 5-star rating
-        const totalLikes = statsData.statistics?.[mangaId]?.rating?.count || 0; // Total Likes
+// 🔹 One upload per chapter for this user; uploadedAt was only needed to choose
+const getChapterList = async (mangaId, lang, user) => {
+    const chapters = dedupeChapters(await getChapterUploads(mangaId, lang), getGroupPreferences(user));
+    return chapters.map(({ uploadedAt, ...ch }) => ch);
+};
 
+// 🔹 Volumes in chapter order with their chapter counts and covers; volume null is the "no volume" bucket
+const getVolumes = (chapters, covers) => {
+    const volumes = new Map();
+    chapters.forEach(ch => {
+        const volume = volumes.get(ch.volume) || { volume: ch.volume, cover: null, chapterCount: 0 };
+        volume.chapterCount++;
+        volumes.set(ch.volume, volume);
+    });
+    return [...volumes.values()].map(volume => ({
+        ...volume,
+        cover: covers[volume.volume] ? proxyImageUrl(covers[volume.volume], 256) : null
+    }));
+};
 
+// 🔹 ?order=asc lists the first chapter first
+const orderChapters = (chapters, order) => (order === "asc" ? [...chapters].reverse() : chapters);
 
-        // 🔹 Determine Popularity Tag (SS, HOT, NEW)
-        let popularityTag = "";
-        if (follows > 50000) popularityTag = "ss"; // Super Star
-        else if (follows > 10000) popularityTag = "hot";
+const withChapterViews = (chapters) => chapters.map(ch => ({ ...ch, views: views.getChapterViews(ch.id) }));
 
-        // Check if the manga is new (published in the last 30 days)
-        if (manga.attributes.createdAt) {
-            const createdAt = new Date(manga.attributes.createdAt);
-            const now = new Date();
-            const daysSinceCreated = (now - createdAt) / (1000 * 60 * 60 * 24);
-            if (daysSinceCreated < 30) popularityTag = "new";
-        }
+// 🔹 Views and votes change all the time, so they go on top of the cached details response
+const withSiteStats = (manga) => ({
+    ...manga,
+    views: views.getMangaViews(manga.id),
+    siteRating: ratings.getSummary(manga.id),
+    chapters: withChapterViews(manga.chapters)
+});
 
-        // 🔹 Fetch Latest Update Time (Formatted)
-        const updatedAt = new Date(manga.attributes.updatedAt);
-        const formattedUpdateTime = updatedAt.toLocaleString("en-US", {
-            month: "short",
-            day: "2-digit",
-            year: "numeric",
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: true
-        });
+// 📌 Get Manga Details (With Cover Image, Volumes, First Page of Chapters, Author, Tags, Popularity)
+app.get("/manga/:id", cacheRoute(CACHE_TTL.details, withSiteStats, groupPreferencesKey), async (req, res) => {
+    try {
+        const mangaId = req.params.id;
 
-        // 🔹 Fetch All Chapters
-        const chaptersResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${mangaId}&translatedLanguage[]=en&order[chapter]=desc&limit=100`);
-        // const chaptersResponse = await fetch(`${BASE_URL}/chapter?manga=${mangaId}&translatedLanguage[]=en&order[chapter]=desc&limit=100`);
-        const chaptersData = await chaptersResponse.json();
-        const chapters = chaptersData.data.map(ch => ({
-            id: ch.id,
-            chapterNumber: ch.attributes.chapter || "N/A",
-            title: ch.attributes.title || "",
-            views: Math.floor(Math.random() * 5000) + 1000, // Fake views (Mangadex doesn’t provide views)
-            uploadedTime: new Date(ch.attributes.readableAt).toLocaleString("en-US", {
-                month: "short",
-                day: "2-digit",
-                year: "numeric",
-                hour: "2-digit",
-                minute: "2-digit",
-                hour12: true
+        // 🔹 Fetch Manga Details, Chapters & Volume Covers (A missing cover never fails the page)
+        const [manga, chapterList, covers] = await Promise.all([
+            provider.details(mangaId, { lang: req.lang }),
+            getChapterList(mangaId, req.lang, req.user),
+            provider.volumeCovers(mangaId).catch(error => {
+                console.error("Failed to fetch volume covers:", error);
+                return {};
             })
-        }));
+        ]);
+        if (!manga) return res.status(404).json({ error: "Manga not found" });
+
+        // 🔹 Get Manga Status (Ongoing/Completed)
+        const status = manga.status.charAt(0).toUpperCase() + manga.status.slice(1);
 
         // 🔹 Send Response
         res.json({
             id: mangaId,
-            title: manga.attributes.title.en || altTitlesForTitle,
-            cover: coverUrl,
-            description: manga.attributes.description.en || "No Description",
-            alternativeTitles: altTitles,
-            authors: authors,
+            title: manga.title,
+            cover: proxyImageUrl(manga.cover, 512),
+            description: manga.description,
+            alternativeTitles: manga.alternativeTitles,
+            authors: manga.authors,
             status: status,
-            genres: genres,
-            lastUpdated: formattedUpdateTime,
-            views: follows,
-            rating: rating,
-            totalLikes: totalLikes,
-            popularityTag: popularityTag, // Added Popularity Tag
-            chapters: chapters
+            genres: manga.genres,
+            lastUpdated: formatDateTime(manga.updatedAt),
+            language: req.lang,
+            availableLanguages: manga.availableLanguages,
+            follows: manga.follows,
+            rating: manga.rating,
+            totalLikes: manga.ratingCount,
+            popularityTag: manga.popularityTag,
+            volumes: getVolumes(chapterList, covers),
+            totalChapters: chapterList.length,
+            chapters: orderChapters(chapterList, req.query.order).slice(0, CHAPTER_PAGE_SIZE) // The rest come from /manga/:id/chapters
         });
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch manga details" });
     }
 });
 
-
-app.get("/new-mangas", async (req, res) => {
+// 📌 Get Chapters a Page at a Time (?page=&limit=&order=desc|asc, newest first by default)
+app.get("/manga/:id/chapters", async (req, res) => {
     try {
-        let offset = parseInt(req.query.offset) || 0;
-        let limit = parseInt(req.query.limit) || 10;
-
-        const response = await fetchWithRetry(`${BASE_URL}/manga?order[createdAt]=desc&limit=${limit}&offset=${offset}&hasAvailableChapters=true`);
-        const mangaData = await response.json();
-
-        const mangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            let coverUrl = "https://via.placeholder.com/150";
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            if (coverRel) {
-                const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                const coverData = await coverResponse.json();
-                const coverFilename = coverData.data?.attributes?.fileName;
-                if (coverFilename) {
-                    coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.256.jpg`;
-                }
-            }
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || CHAPTER_PAGE_SIZE, MAX_CHAPTER_PAGE_SIZE);
+        const chapters = orderChapters(await getChapterList(req.params.id, req.lang, req.user), req.query.order);
 
-            let author = "Unknown";
-            const authorRel = manga.relationships.find(rel => rel.type === "author");
-            if (authorRel) {
-                const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                const authorData = await authorResponse.json();
-                author = authorData.data?.attributes?.name || "Unknown";
-            }
+        res.json({
+            total: chapters.length,
+            page,
+            limit,
+            items: withChapterViews(chapters.slice((page - 1) * limit, page * limit))
+        });
+    } catch (error) {
+        console.error("Failed to fetch chapters:", error);
+        res.status(500).json({ error: "Failed to fetch chapters" });
+    }
+});
 
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
 
-             // Exclude if no valid chapter
-            //  if (!latestChapter || !latestChapter.chapter) {
-            //     return null;
-            // }
-
-            const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-            const statsData = await statsResponse.json();
-            const follows = statsData.statistics[manga.id]?.follows || 0;
-            const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-            const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A";
-
-            let tag = "";
-            if (follows > 50000) tag = "ss";
-            else if (follows > 10000) tag = "hot";
-
-            if (manga.attributes.createdAt) {
-                const createdAt = new Date(manga.attributes.createdAt);
-                const now = new Date();
-                if ((now - createdAt) / (1000 * 60 * 60 * 24) < 30) tag = "new";
-            }
+// 📌 Get Chapter Pages (Image URLs come back proxied at reader width)
+app.get("/chapter/:id/pages", async (req, res) => {
+    try {
+        const quality = req.query.quality === "data-saver" ? "data-saver" : "data";
 
+        // The reader follows the chapter's own language unless ?lang= asks for another title language
+        const chapter = await provider.pages(req.params.id, { quality, lang: req.query.lang ? req.lang : null });
+        if (!chapter) return res.status(404).json({ error: "Chapter not found" });
 
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: `${SERVER_URL}/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                description: manga.attributes.description.en || "No Description",
-                author: author,
-                chapters: latestChapter,
-                tags: manga.attributes.tags.map(tag => tag.attributes.name.en),
-                rating: rating,
-                lastUpdated: manga.attributes.updatedAt,
-                views: follows,
-                popularityTag: tag,
-                totalManga: mangaData.total,
-            };
-        }));
-        res.json(mangaList.filter(manga => manga !== null));
-        // res.json(mangaList);
+        res.json({
+            ...chapter,
+            pages: chapter.pages.map((pageUrl, index) => ({
+                page: index + 1,
+                url: proxyImageUrl(pageUrl, 1000)
+            }))
+        });
     } catch (error) {
-        res.status(500).json({ error: "Failed to fetch manga data" });
+        console.error("Failed to fetch chapter pages:", error);
+        res.status(500).json({ error: "Failed to fetch chapter pages" });
     }
 });
 
+// 📌 Get a Scanlation Group (With its latest releases)
+app.get("/group/:id", cacheRoute(CACHE_TTL.details), async (req, res) => {
+    try {
+        const group = await provider.group(req.params.id, { lang: req.lang });
+        if (!group) return res.status(404).json({ error: "Group not found" });
 
-app.get("/latest-mangas-list", async (req, res) => {
+        res.json({
+            ...group,
+            releases: group.releases.map(({ uploadedAt, ...release }) => ({
+                ...release,
+                uploadedTime: formatDateTime(uploadedAt)
+            }))
+        });
+    } catch (error) {
+        console.error("Failed to fetch group:", error);
+        res.status(500).json({ error: "Failed to fetch group" });
+    }
+});
+
+app.get("/new-mangas", cacheRoute(CACHE_TTL.list), async (req, res) => {
     try {
         let offset = parseInt(req.query.offset) || 0;
         let limit = parseInt(req.query.limit) || 10;
 
-        const response = await fetchWithRetry(`${BASE_URL}/manga?order[latestUploadedChapter]=desc&limit=${limit}&offset=${offset}`);
-        const mangaData = await response.json();
-
-        const mangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            let coverUrl = "https://via.placeholder.com/150";
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            if (coverRel) {
-                const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                const coverData = await coverResponse.json();
-                const coverFilename = coverData.data?.attributes?.fileName;
-                if (coverFilename) {
-                    coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.256.jpg`;
-                }
-            }
-
-            let author = "Unknown";
-            const authorRel = manga.relationships.find(rel => rel.type === "author");
-            if (authorRel) {
-                const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                const authorData = await authorResponse.json();
-                author = authorData.data?.attributes?.name || "Unknown";
-            }
+        const { items } = await provider.list({ sort: "newest", offset, limit, hasChapters: true, lang: req.lang });
+        res.json(withProxiedCovers(items));
+    } catch (error) {
+        res.status(500).json({ error: "Failed to fetch manga data" });
+    }
+});
 
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
 
-             // Exclude if no valid chapter
-            //  if (!latestChapter || !latestChapter.chapter) {
-            //     return null;
-            // }
-
-            const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-            const statsData = await statsResponse.json();
-            const follows = statsData.statistics[manga.id]?.follows || 0;
-            const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-            const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A";
-
-            let tag = "";
-            if (follows > 50000) tag = "ss";
-            else if (follows > 10000) tag = "hot";
-
-            if (manga.attributes.createdAt) {
-                const createdAt = new Date(manga.attributes.createdAt);
-                const now = new Date();
-                if ((now - createdAt) / (1000 * 60 * 60 * 24) < 30) tag = "new";
-            }
+app.get("/latest-mangas-list", cacheRoute(CACHE_TTL.list), async (req, res) => {
+    try {
+        let offset = parseInt(req.query.offset) || 0;
+        let limit = parseInt(req.query.limit) || 10;
 
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: `${SERVER_URL}/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                description: manga.attributes.description.en || "No Description",
-                author: author,
-                chapters: latestChapter,
-                tags: manga.attributes.tags.map(tag => tag.attributes.name.en),
-                rating: rating,
-                lastUpdated: manga.attributes.updatedAt,
-                views: follows,
-                popularityTag: tag,
-                totalManga: mangaData.total,
-            };
-        }));
-        res.json(mangaList.filter(manga => manga !== null));
-        // res.json(mangaList);
+        const { items } = await provider.list({ sort: "latest", offset, limit, lang: req.lang });
+        res.json(withProxiedCovers(items));
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch manga data" });
     }
 });
 
-app.get("/top-mangas", async (req, res) => {
+app.get("/top-mangas", cacheRoute(CACHE_TTL.list), async (req, res) => {
     try {
         let offset = parseInt(req.query.offset) || 0;
         let limit = parseInt(req.query.limit) || 10;
 
-        const response = await fetchWithRetry(`${BASE_URL}/manga?order[followedCount]=desc&limit=${limit}&offset=${offset}`);
-        const mangaData = await response.json();
-
-        const mangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            let coverUrl = "https://via.placeholder.com/150";
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            if (coverRel) {
-                const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                const coverData = await coverResponse.json();
-                const coverFilename = coverData.data?.attributes?.fileName;
-                if (coverFilename) {
-                    coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.256.jpg`;
-                }
-            }
-
-            let author = "Unknown";
-            const authorRel = manga.relationships.find(rel => rel.type === "author");
-            if (authorRel) {
-                const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                const authorData = await authorResponse.json();
-                author = authorData.data?.attributes?.name || "Unknown";
-            }
-
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
-
-             // Exclude if no valid chapter
-            //  if (!latestChapter || !latestChapter.chapter) {
-            //     return null;
-            // }
-
-            const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-            const statsData = await statsResponse.json();
-            const follows = statsData.statistics[manga.id]?.follows || 0;
-            const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-            const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A";
-
-            let tag = "";
-            if (follows > 50000) tag = "ss";
-            else if (follows > 10000) tag = "hot";
-
-            if (manga.attributes.createdAt) {
-                const createdAt = new Date(manga.attributes.createdAt);
-                const now = new Date();
-                if ((now - createdAt) / (1000 * 60 * 60 * 24) < 30) tag = "new";
-            }
-
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: `${SERVER_URL}/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                description: manga.attributes.description.en || "No Description",
-                author: author,
-                chapters: latestChapter,
-                tags: manga.attributes.tags.map(tag => tag.attributes.name.en),
-                rating: rating,
-                lastUpdated: manga.attributes.updatedAt,
-                views: follows,
-                popularityTag: tag,
-                totalManga: mangaData.total,
-            };
-        }));
-        res.json(mangaList.filter(manga => manga !== null));
-        // res.json(mangaList);
+        const { items } = await provider.list({ sort: "follows", offset, limit, lang: req.lang });
+        res.json(withProxiedCovers(items));
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch manga data" });
     }
 });
 
 
-app.get("/genres", async (req, res) => {
+app.get("/genres", cacheRoute(CACHE_TTL.genres), async (req, res) => {
     try {
-        const response = await fetchWithRetry(`${BASE_URL}/manga/tag`);
-        const data = await response.json();
-
-        // Extract genre names and IDs
-        const genres = data.data.map(tag => ({
-            id: tag.id,
-            name: tag.attributes.name.en
-        }));
-
+        const genres = await provider.genres();
         res.json(genres);
     } catch (error) {
         console.error("Failed to fetch genres:", error);
@@ -878,122 +530,108 @@ app.get("/genres", async (req, res) => {
     }
 });
 
-app.get("/list-mangas", async (req, res) => {
+// List sort options from the filter panel mapped to provider sorts, each with the direction it
+// runs in unless ?order=asc|desc says otherwise
+const LIST_SORTS = {
+    "latest": { sort: "latest", direction: "desc" },
+    "newest": { sort: "newest", direction: "desc" },
+    "top-view": { sort: "follows", direction: "desc" },
+    "follows": { sort: "follows", direction: "desc" },
+    "title": { sort: "title", direction: "asc" },
+    "rating": { sort: "rating", direction: "desc" },
+    "year": { sort: "year", direction: "desc" },
+};
+// Searches can also sort by how well titles match, which is what they do by default
+const SEARCH_SORTS = { ...LIST_SORTS, "relevance": { sort: "relevance", direction: "desc" } };
+
+// 🔹 { sort, direction } for a ?sort= and ?order= pair; unknown sorts use the fallback
+const parseSort = (sorts, value, order, fallback) => {
+    const { sort, direction } = sorts[value] || sorts[fallback];
+    return { sort, direction: ["asc", "desc"].includes(order) ? order : direction };
+};
+
+// 🔹 ?genres= and ?excludedGenres= are comma-separated genre ids; anything else in them is dropped
+const GENRE_ID_PATTERN = /^[\w-]{1,64}$/;
+const parseGenreIds = (value) => String(value || "").split(",").map(id => id.trim()).filter(id => GENRE_ID_PATTERN.test(id));
+const parseTagMode = (value, fallback) => (["and", "or"].includes(value) ? value : fallback);
+
+// 📌 Filtered List (Include/exclude genres with AND/OR modes, status and sort)
+app.get("/list-mangas", cacheRoute(CACHE_TTL.list), async (req, res) => {
     try {
       let offset = parseInt(req.query.offset) || 0;
       let limit = parseInt(req.query.limit) || 10;
-      let genres = req.query.genres || "";
       let status = req.query.status || "all";
-      const category  = req.query.sort || "latest";
-        let sortQuery = "order[latestUploadedChapter]=desc";
-        if (category === "latest") {
-            sortQuery = "order[latestUploadedChapter]=desc";
-        } else if (category === "newest") {
-            sortQuery = "order[createdAt]=desc";
-        } else if (category === "top-view") {
-            sortQuery = "order[followedCount]=desc";
-        }
-
-      let genreFilter = genres ? genres.split(",").map(genre => `includedTags[]=${genre}`).join("&") : "";
-      let statusFilter = status !== "all" ? `&status[]=${status}` : "";
-
-      const response = await fetch(`${BASE_URL}/manga?${sortQuery}&limit=${limit}&offset=${offset}&${genreFilter}${statusFilter}&hasAvailableChapters=true`);
-      const mangaData = await response.json();
+      const genres = parseGenreIds(req.query.genres);
+      const excludedGenres = parseGenreIds(req.query.excludedGenres).filter(id => !genres.includes(id));
+
+      const { items } = await provider.list({
+          ...parseSort(LIST_SORTS, req.query.sort, req.query.order, "latest"),
+          offset,
+          limit,
+          genres,
+          excludedGenres,
+          includedMode: parseTagMode(req.query.includedMode, "and"),
+          excludedMode: parseTagMode(req.query.excludedMode, "or"),
+          status: status !== "all" ? [status] : [],
+          hasChapters: true,
+          lang: req.lang
+      });
+
+        // An empty page is just [] (each card carries totalManga), the same shape as /search-manga
+        res.json(withProxiedCovers(items));
+    } catch (error) {
+      res.status(500).json({ error: "Failed to fetch manga data" });
+    }
+  });
 
-        const totalManga = mangaData.total || 0;
+// 📌 Search Manga By Title (Same card shape as /list-mangas; relevance first unless ?sort= says otherwise)
+app.get("/search-manga", cacheRoute(CACHE_TTL.search), async (req, res) => {
+    try {
+        const title = (req.query.title || "").trim();
+        let offset = parseInt(req.query.offset) || 0;
+        let limit = parseInt(req.query.limit) || 10;
 
-        if (!mangaData.data.length) {
-            return res.json({ total: totalManga, mangas: [] });
+        if (!title) {
+            return res.status(400).json({ error: "Search title is required" });
         }
 
-        const mangaList = await Promise.all(mangaData.data.map(async (manga) => {
-            let coverUrl = "https://via.placeholder.com/150";
-            const coverRel = manga.relationships.find(rel => rel.type === "cover_art");
-            if (coverRel) {
-                const coverResponse = await fetchWithRetry(`${BASE_URL}/cover/${coverRel.id}`);
-                const coverData = await coverResponse.json();
-                const coverFilename = coverData.data?.attributes?.fileName;
-                if (coverFilename) {
-                    coverUrl = `https://uploads.mangadex.org/covers/${manga.id}/${coverFilename}.256.jpg`;
-                }
-            }
-
-            let author = "Unknown";
-            const authorRel = manga.relationships.find(rel => rel.type === "author");
-            if (authorRel) {
-                const authorResponse = await fetchWithRetry(`${BASE_URL}/author/${authorRel.id}`);
-                const authorData = await authorResponse.json();
-                author = authorData.data?.attributes?.name || "Unknown";
-            }
-
-            let latestChapter = null;
-            try {
-                const chapterResponse = await fetchWithRetry(`${BASE_URL}/chapter?manga=${manga.id}&limit=1&translatedLanguage[]=en&order[chapter]=desc`);
-                const chapterData = await chapterResponse.json();
-
-                if (chapterData.data.length > 0) {
-                    const ch = chapterData.data[0];
-                    latestChapter = {
-                        chapter: ch.attributes.chapter || "N/A",
-                        title: ch.attributes.title || "",
-                        id: ch.id,
-                        updatedAt: ch.attributes.readableAt || "Unknown Date"
-                    };
-                }
-            } catch (err) {
-                console.error("Failed to fetch latest chapter:", err);
-            }
-
-            // Exclude if no valid chapter
-            //  if (!latestChapter || !latestChapter.chapter) {
-            //     return null;
-            // }
-
-            const statsResponse = await fetchWithRetry(`${BASE_URL}/statistics/manga/${manga.id}`);
-            const statsData = await statsResponse.json();
-            const follows = statsData.statistics[manga.id]?.follows || 0;
-            const rawRating = statsData.statistics[manga.id]?.rating?.average || 0;
-            const rating = rawRating ? (rawRating / 2).toFixed(1) : "N/A";
-
-            let tag = "";
-            if (follows > 50000) tag = "ss";
-            else if (follows > 10000) tag = "hot";
-
-            if (manga.attributes.createdAt) {
-                const createdAt = new Date(manga.attributes.createdAt);
-                const now = new Date();
-                if ((now - createdAt) / (1000 * 60 * 60 * 24) < 30) tag = "new";
-            }
-
-            const altTitlesForTitle = manga.attributes.altTitles?.length > 0
-            ? (manga.attributes.altTitles.find(obj => obj.en)
-                ? manga.attributes.altTitles.find(obj => obj.en).en
-                : Object.values(manga.attributes.altTitles[0])[0])
-            : "No Title";
-
-
-            return {
-                id: manga.id,
-                title: manga.attributes.title.en || altTitlesForTitle,
-                cover: `${SERVER_URL}/proxy-image?url=${encodeURIComponent(coverUrl)}`,
-                description: manga.attributes.description.en || "No Description",
-                author: author,
-                chapters: latestChapter,
-                tags: manga.attributes.tags.map(tag => tag.attributes.name.en),
-                rating: rating,
-                lastUpdated: manga.attributes.updatedAt,
-                views: follows,
-                popularityTag: tag,
-                totalManga: mangaData.total,
-            };
-        }));
-
-        res.json(mangaList.filter(manga => manga !== null));
-    //   res.json(mangaData);
+        const { sort, direction } = parseSort(SEARCH_SORTS, req.query.sort, req.query.order, "relevance");
+        const { items } = await provider.search({ title, sort, direction, offset, limit, lang: req.lang });
+        res.json(withProxiedCovers(items));
     } catch (error) {
-      res.status(500).json({ error: "Failed to fetch manga data" });
+        console.error("Failed to search manga:", error);
+        res.status(500).json({ error: "Failed to search manga" });
     }
-  });
+});
+
+// 📌 Reading Progress, Bookmarks, Notifications & Comments (Per user, so never route-cached)
+const progress = createProgress({ store, requireUser: auth.requireUser });
+app.use("/progress", progress.router);
+
+const bookmarks = createBookmarks({ store, provider, progress, requireUser: auth.requireUser, proxyImageUrl });
+app.use("/bookmarks", bookmarks.router);
+
+const notifications = createNotifications({ store, provider, requireUser: auth.requireUser });
+app.use("/notifications", notifications.router);
+notifications.start();
+
+const comments = createComments({ store, requireUser: auth.requireUser });
+app.use("/comments", comments.router);
+
+// 📌 Debug: upstream queue depth, cache sizes and the new-chapter job
+app.get("/debug/queue", (req, res) => {
+    const { mode, limiters, cache } = getUpstreamStats();
+    res.json({
+        source: provider.name,
+        upstreamMode: mode,
+        limiters,
+        cache: { routes: routeCache.size, upstream: cache, images: imageCache.stats() },
+        notifications: notifications.stats()
+    });
+});
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+
+// Exit cleanly on Ctrl+C / stop so pending data writes are flushed
+["SIGINT", "SIGTERM"].forEach(signal => process.once(signal, () => process.exit(0)));
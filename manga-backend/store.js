@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+
+// 📌 JSON File Store
+// Site data (users, sessions, ...) lives in one JSON file under DATA_DIR. It is read once at
+// startup and written back (atomically, via a temp file) shortly after each change.
+// Collections are keyed by ids that clients send, so every stored object is prototype-free:
+// an id like "__proto__" or "constructor" is then just another key.
+const createMap = () => Object.create(null);
+
+// JSON.parse reviver that gives every plain object the same prototype-free shape
+const toMaps = (key, value) => (value && typeof value === "object" && !Array.isArray(value)
+    ? Object.assign(createMap(), value)
+    : value);
+
+const createJsonStore = ({ file, defaults = {} }) => {
+    let data = JSON.parse(JSON.stringify(defaults), toMaps);
+    let saveTimer = null;
+
+    try {
+        Object.assign(data, JSON.parse(fs.readFileSync(file, "utf8"), toMaps));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`Failed to read data file ${file}: ${err.message}`);
+    }
+
+    const flush = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+    };
+
+    // 🔹 Batch bursts of changes into one write
+    const save = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            try {
+                flush();
+            } catch (err) {
+                console.error("Failed to save data:", err);
+            }
+        }, 200);
+    };
+
+    // Do not lose the last changes on Ctrl+C
+    process.once("exit", () => {
+        if (saveTimer) flush();
+    });
+
+    // `collection(name)` is a prototype-free object keyed by id; nested maps keyed by client ids
+    // should come from createMap() too. Call save() after changing it
+    const collection = (name) => {
+        if (!data[name]) data[name] = createMap();
+        return data[name];
+    };
+
+    return { collection, save, flush };
+};
+
+module.exports = { createJsonStore, createMap };
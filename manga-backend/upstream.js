@@ -0,0 +1,126 @@
+const path = require("path");
+const fetch = require("node-fetch");
+const { createTtlCache } = require("./cache");
+const { createRateLimiter } = require("./rateLimiter");
+const { createFixtureStore } = require("./fixtures");
+
+// Upstream JSON is cached briefly per URL so identical calls from different routes are shared
+const UPSTREAM_TTL = 60 * 1000;
+
+const fetchWithTimeout = async (url, options = {}, timeout = 10000) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        clearTimeout(timeoutId);
+        return response;
+    } catch (error) {
+        clearTimeout(timeoutId);
+        throw error;
+    }
+};
+
+
+// 📌 Upstream Rate Limiting
+// MangaDex allows about 5 requests per second per IP on api.mangadex.org.
+// Every upstream call is queued through a token bucket; image hosts get a looser one.
+const apiLimiter = createRateLimiter({ name: "api.mangadex.org", ratePerSecond: 5 });
+const mediaLimiter = createRateLimiter({ name: "images", ratePerSecond: 20, maxConcurrent: 10 });
+
+const getLimiter = (url) => (new URL(url).hostname === "api.mangadex.org" ? apiLimiter : mediaLimiter);
+
+// 🔹 How long upstream wants us to wait: Retry-After (seconds or HTTP date) or
+// MangaDex's X-RateLimit-Retry-After (unix seconds). null when it does not say.
+const getRetryAfterMs = (response) => {
+    const retryAfter = response.headers.get("Retry-After");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        return Number.isNaN(seconds) ? Math.max(new Date(retryAfter) - Date.now(), 0) : seconds * 1000;
+    }
+    const resetAt = Number(response.headers.get("X-RateLimit-Retry-After"));
+    return resetAt ? Math.max(resetAt * 1000 - Date.now(), 0) : null;
+};
+
+// 🔹 Exponential backoff with jitter: 0.5s, 1s, 2s... each randomised by up to half
+const getBackoffMs = (attempt) => {
+    const base = 500 * 2 ** attempt;
+    return base / 2 + Math.random() * (base / 2);
+};
+
+const fetchLive = async (url, options = {}, retries = 3) => {
+    const limiter = getLimiter(url);
+    for (let i = 0; i < retries; i++) {
+        let waitMs = getBackoffMs(i);
+        try {
+            const response = await limiter.schedule(() => fetchWithTimeout(url, options));
+
+            // Quota for this window is used up: hold the queue until it resets
+            if (response.headers.get("X-RateLimit-Remaining") === "0") {
+                const resetMs = getRetryAfterMs(response);
+                if (resetMs) limiter.pauseUntil(Date.now() + resetMs);
+            }
+
+            if (response.ok) return response;
+
+            if (response.status === 429) {
+                limiter.pauseUntil(Date.now() + (getRetryAfterMs(response) ?? waitMs));
+                waitMs = 0; // The paused limiter does the waiting
+            }
+
+            const error = new Error(`HTTP error! Status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        } catch (error) {
+            // Client errors (other than 429), refused redirects and blocked addresses will fail the same way again
+            const isClientError = error.status >= 400 && error.status < 500 && error.status !== 429;
+            const isPermanent = isClientError || error.type === "no-redirect" || error.code === "EPRIVATEADDRESS";
+            if (i === retries - 1 || isPermanent) throw error;
+            console.log(`Retrying (${i + 1}/${retries}) in ${Math.round(waitMs)}ms...`);
+            await new Promise((resolve) => setTimeout(resolve, waitMs));
+        }
+    }
+};
+
+
+// 📌 Record/Replay (UPSTREAM_MODE=live | record | replay, see fixtures.js)
+const fixtures = createFixtureStore({
+    mode: process.env.UPSTREAM_MODE || "live",
+    dir: path.resolve(process.env.FIXTURES_DIR || path.join(__dirname, "fixtures"))
+});
+if (fixtures.mode !== "live") console.log(`🎞️ Upstream ${fixtures.mode} mode using ${fixtures.dir}`);
+
+const fetchWithRetry = async (url, options = {}, retries = 3) => {
+    if (fixtures.mode === "replay") return fixtures.replay(url);
+    if (fixtures.mode === "live") return fetchLive(url, options, retries);
+
+    try {
+        const response = await fetchLive(url, options, retries);
+        return await fixtures.record(url, response);
+    } catch (error) {
+        await fixtures.recordError(url, error);
+        throw error;
+    }
+};
+
+
+const upstreamCache = createTtlCache({ maxEntries: 1000 });
+
+// 🔹 GET a JSON document through the rate limiter and upstream cache.
+// Concurrent calls for the same URL share one in-flight request; pass ttl 0 to skip caching.
+const fetchJson = (url, ttl = UPSTREAM_TTL) => {
+    return upstreamCache.wrap(url, ttl, async () => {
+        const response = await fetchWithRetry(url);
+        return response.json();
+    });
+};
+
+// live | record | replay; replay never opens a socket
+const getUpstreamMode = () => fixtures.mode;
+
+const getUpstreamStats = () => ({
+    mode: fixtures.mode,
+    limiters: [apiLimiter.stats(), mediaLimiter.stats()],
+    cache: upstreamCache.size
+});
+
+module.exports = { fetchWithRetry, fetchJson, getUpstreamMode, getUpstreamStats };
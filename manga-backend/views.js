@@ -0,0 +1,62 @@
+const express = require("express");
+const crypto = require("crypto");
+const { createTtlCache } = require("./cache");
+
+// 📌 Chapter View Counts
+// The reader reports each chapter it opens. A viewer (the logged-in user, or an anonymous
+// IP + User-Agent fingerprint) is counted once per chapter per VIEW_WINDOW, so refreshing the
+// page does not inflate the number. Counts persist in chapterViews[chapterId] and
+// mangaViews[mangaId]; the dedup window is in memory only. Only chapters the provider knows are
+// counted, and the manga they count towards is the one the chapter belongs to.
+const VIEW_WINDOW = 6 * 60 * 60 * 1000; // 6 hours
+const CHAPTER_LOOKUP_TTL = 60 * 60 * 1000; // A chapter's manga never changes
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const isValidId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+const getViewerKey = (req) => {
+    if (req.user) return `user:${req.user.id}`;
+    const fingerprint = `${req.ip}|${req.get("user-agent") || ""}`;
+    return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex").slice(0, 16)}`;
+};
+
+const createViewCounter = ({ store, provider }) => {
+    const chapterViews = store.collection("chapterViews");
+    const mangaViews = store.collection("mangaViews");
+    const recentViews = createTtlCache({ maxEntries: 50000 }); // viewer:chapter -> true
+    const chapterManga = createTtlCache({ maxEntries: 5000 }); // chapterId -> mangaId, or null when unknown
+    const router = express.Router();
+
+    const getChapterViews = (chapterId) => chapterViews[chapterId] || 0;
+    const getMangaViews = (mangaId) => mangaViews[mangaId] || 0;
+
+    const getChapterManga = (chapterId) => chapterManga.wrap(chapterId, CHAPTER_LOOKUP_TTL, () => provider.chapterManga(chapterId));
+
+    // 📌 Record a Chapter Open (Mounted under /chapter)
+    router.post("/:id/view", async (req, res) => {
+        try {
+            const chapterId = req.params.id;
+            if (!isValidId(chapterId)) return res.status(400).json({ error: "Invalid chapter id" });
+
+            const mangaId = await getChapterManga(chapterId);
+            if (!mangaId) return res.status(404).json({ error: "Chapter not found" });
+
+            const key = `${getViewerKey(req)}:${chapterId}`;
+            const counted = !recentViews.get(key);
+            if (counted) {
+                recentViews.set(key, true, VIEW_WINDOW);
+                chapterViews[chapterId] = getChapterViews(chapterId) + 1;
+                mangaViews[mangaId] = getMangaViews(mangaId) + 1;
+                store.save();
+            }
+
+            res.json({ counted, views: getChapterViews(chapterId) });
+        } catch (error) {
+            console.error("Failed to record chapter view:", error);
+            res.status(500).json({ error: "Failed to record chapter view" });
+        }
+    });
+
+    return { router, getChapterViews, getMangaViews };
+};
+
+module.exports = { createViewCounter };